@@ -9,10 +9,32 @@ class ClientSideAI {
         this.currentConversationId = null;
         this.toolsConfig = null;
         this.loadedTools = {};
+        this.toolProblems = [];
+        this.toolSources = {};
+        this.workerPool = null;
+        this.toolPools = {};
+        this.toolRuns = new Set();
+        this.toolUpdateListener = null;
+        this.locales = {};
+        this.languageModel = null;
+        this.activeLocale = null;
+        this.lastDetectedLanguage = null;
+        this.slotPatterns = new Map();
+        this.patternIndex = null;
+        this.slotIndex = null;
+        this.bareSlotPatterns = new Set();
+        this.patternsById = new Map();
+        this.lastPhrases = {};
+        this.pendingToolCall = null;
+        this.pendingClarification = null;
+        this.intentClassifier = null;
+        this.followUpReferences = /\b(?:the (?:previous |last )?(?:result|answer|output)|the original(?: text)?|the input|the same text|that|it)\b/i;
+        // Pasted data in a request: code fences, quoted text, a JSON object or array
+        this.payloadPattern = /```[\s\S]*?```|"[^"\n]*"|“[^”\n]*”|[{[][\s\S]*[}\]]/g;
         this.trainingData = {
             patterns: [],
-            responses: [],
-            corrections: []
+            corrections: [],
+            intents: []
         };
         this.userProfile = {
             stylePreferences: {
@@ -21,19 +43,22 @@ class ClientSideAI {
                 favoriteTopics: [],
                 commonQuestions: []
             },
+            language: 'auto', // 'auto' follows each message, or a locale code such as 'es'
             interactionHistory: [],
             storageLimit: 50 * 1024 * 1024, // 50MB default (can be changed by user)
             storageUsed: 0
         };
         
-        this.initialize();
+        this.ready = this.initialize();
     }
 
     async initialize() {
         await this.loadToolsConfig();
+        await this.loadLocales();
         await this.loadTools();
         this.loadFromStorage();
         this.loadTrainingData();
+        this.trainIntentClassifier();
     }
 
     // Load tools configuration from JSON
@@ -48,26 +73,356 @@ class ClientSideAI {
         }
     }
 
-    // Dynamically load tool scripts
+    // Keywords, response wording and phrases for each language in settings.locales
+    async loadLocales() {
+        const settings = this.toolsConfig.settings || {};
+        this.locales = {};
+
+        for (const code of settings.locales || ['en']) {
+            try {
+                const response = await fetch(`/Jsons/locales/${code}.json`);
+                this.locales[code] = await response.json();
+            } catch (error) {
+                console.error(`❌ Failed to load locale ${code}:`, error);
+            }
+        }
+
+        this.trainLanguageModel();
+        console.log('✅ Locales loaded:', Object.keys(this.locales).join(', '));
+    }
+
+    // Tool manifests are written in the default language, so their keywords count
+    // for it too ("analyze code" is English even though French also says "code")
+    trainLanguageModel() {
+        if (typeof LanguageDetector === 'undefined') return;
+
+        const defaultCode = this.defaultLocaleCode();
+        const locales = Object.values(this.locales).map(locale => {
+            if (locale.code !== defaultCode) return locale;
+            const tools = { ...(locale.tools || {}) };
+            for (const tool of this.toolsConfig.tools) {
+                const entry = tools[tool.id] || {};
+                tools[tool.id] = { ...entry, keywords: [...(entry.keywords || []), ...(tool.keywords || [])] };
+            }
+            return { ...locale, tools };
+        });
+        this.languageModel = LanguageDetector.train(locales);
+    }
+
+    defaultLocaleCode() {
+        return (this.toolsConfig.settings || {}).defaultLocale || 'en';
+    }
+
+    // The locale answering the current message, falling back to the default one
+    getLocale(code = this.activeLocale) {
+        return this.locales[code] || this.locales[this.defaultLocaleCode()] || null;
+    }
+
+    // A tool's name in the current locale, else the manifest's
+    toolName(tool) {
+        const localized = ((this.getLocale() || {}).tools || {})[tool.id];
+        return (localized && localized.name) || tool.name;
+    }
+
+    // The manifest's name and every locale's, lowercased, for reading a tool named in a reply
+    toolNames(tool) {
+        const localized = Object.values(this.locales).map(locale => ((locale.tools || {})[tool.id] || {}).name);
+        return [tool.name, ...localized].filter(Boolean).map(name => name.toLowerCase());
+    }
+
+    // How the current locale says a fixed value, e.g. label('source', 'trailing');
+    // the default locale's wording, then the value itself, stand in for a missing one
+    label(group, value) {
+        for (const locale of [this.getLocale(), this.locales[this.defaultLocaleCode()]]) {
+            const labels = ((locale && locale.labels) || {})[group] || {};
+            if (labels[value]) return labels[value];
+        }
+        return value;
+    }
+
+    /**
+     * Tools report errors in English. The locale's "errors" table maps each message,
+     * written with {placeholders}, to its wording; the first entry matching the whole
+     * message wins, and what a placeholder stood for is looked up the same way
+     * ("Line 2: {error}"). A message the table doesn't know stays as it is.
+     */
+    localizeError(message) {
+        const errors = (this.getLocale() || {}).errors;
+        if (!errors || typeof message !== 'string') return message;
+
+        for (const [english, localized] of Object.entries(errors)) {
+            const names = [];
+            const pattern = english.split(/\{(\w+)\}/)
+                .map((part, index) => index % 2 ? (names.push(part), '([\\s\\S]+?)') : this.escapeRegExp(part))
+                .join('');
+            const match = message.match(new RegExp(`^${pattern}$`));
+            if (!match) continue;
+
+            return localized.replace(/\{(\w+)\}/g, (placeholder, name) =>
+                names.includes(name) ? this.localizeError(match[names.indexOf(name) + 1]) : placeholder);
+        }
+        return message;
+    }
+
+    // A result's error, and those of its rows (worksheet lines, code problems), in the user's language
+    localizeResultErrors(result) {
+        const localized = { ...result };
+        for (const [key, value] of Object.entries(result)) {
+            if (key === 'error') {
+                localized.error = this.localizeError(value);
+            } else if (Array.isArray(value)) {
+                localized[key] = value.map(item => {
+                    if (!item || typeof item !== 'object') return item;
+                    const row = { ...item };
+                    if (typeof item.error === 'string') row.error = this.localizeError(item.error);
+                    if (key === 'errors' && typeof item.message === 'string') row.message = this.localizeError(item.message);
+                    return row;
+                });
+            }
+        }
+        return localized;
+    }
+
+    // A field of a tool's entry ("keywords", "examples") from every loaded locale
+    localeEntries(toolId, field) {
+        return Object.values(this.locales).flatMap(locale => ((locale.tools || {})[toolId] || {})[field] || []);
+    }
+
+    /**
+     * The user's chosen language, else the one the message is written in, else the
+     * last one detected (so "5 + 3" after a French message stays French), else the default.
+     * The request is read without the text it works on ("reverse hola mundo" is English);
+     * that text only decides when the request alone doesn't ("convertir 5 millas a km").
+     */
+    resolveLanguage(input) {
+        const preference = this.userProfile.language;
+        if (preference && preference !== 'auto' && this.locales[preference]) {
+            return { code: preference, source: 'preference' };
+        }
+
+        const detected = typeof LanguageDetector !== 'undefined'
+            ? LanguageDetector.detect(this.commandText(input), this.languageModel)
+                || LanguageDetector.detect(input, this.languageModel)
+            : null;
+        if (detected && this.locales[detected.code]) {
+            this.lastDetectedLanguage = detected.code;
+            return { code: detected.code, source: 'detected', confidence: detected.confidence };
+        }
+        if (this.lastDetectedLanguage) {
+            return { code: this.lastDetectedLanguage, source: 'previous' };
+        }
+        return { code: this.defaultLocaleCode(), source: 'default' };
+    }
+
+    // What a tool gets as params.locale: how to format numbers and the locale's math and unit words
+    toolLocale() {
+        const locale = this.getLocale();
+        if (!locale) return null;
+        return { code: locale.code, numberFormat: locale.numberFormat, math: locale.math || null, units: locale.units || null };
+    }
+
+    // Validate manifests, load tool scripts and check every tool can actually be called.
+    // Broken tools are disabled and listed in toolProblems instead of failing at call time.
     async loadTools() {
+        this.toolProblems = [];
         const uniqueScripts = new Set();
-        
+
         // Collect unique script paths
         this.toolsConfig.tools.forEach(tool => {
-            if (tool.enabled) {
+            if (!tool.enabled) return;
+
+            const registered = this.loadedTools[tool.id];
+            const errors = ToolManifest.validate(tool, {
+                hasImplementation: Boolean(registered),
+                needsFunction: typeof registered !== 'function'
+            });
+            if (errors.length > 0) {
+                this.disableTool(tool, 'invalid', errors);
+            } else if (!registered) {
                 uniqueScripts.add(tool.scriptPath);
             }
         });
 
         // Load each script
+        const failedScripts = new Set();
         for (const scriptPath of uniqueScripts) {
             try {
                 await this.loadScript(scriptPath);
                 console.log('✅ Loaded tool script:', scriptPath);
             } catch (error) {
+                failedScripts.add(scriptPath);
                 console.error('❌ Failed to load script:', scriptPath, error);
             }
         }
+
+        // A script can load and still not define what the manifest promises
+        for (const tool of this.toolsConfig.tools) {
+            if (!tool.enabled) continue;
+
+            if (failedScripts.has(tool.scriptPath) && !this.loadedTools[tool.id]) {
+                this.disableTool(tool, 'missing', [`Script ${tool.scriptPath} could not be loaded`]);
+                continue;
+            }
+            try {
+                this.resolveToolImplementation(tool);
+            } catch (error) {
+                this.disableTool(tool, 'missing', [error.message]);
+            }
+        }
+
+        this.startWorkerPool([...uniqueScripts].filter(scriptPath => !failedScripts.has(scriptPath)));
+    }
+
+    // Tool calls run in workers so a runaway call can be stopped and can't reach the page.
+    // The bundled scripts still load here too (for validation and MathTools formatting).
+    // Registered tools each get a worker of their own (see toolWorkerPool). Without
+    // Worker support every call falls back to the main thread, where a registered
+    // tool runs with the page's full access.
+    startWorkerPool(scripts) {
+        if (this.workerPool) {
+            this.workerPool.terminate();
+            this.workerPool = null;
+        }
+        for (const id of Object.keys(this.toolPools)) {
+            this.stopToolWorkerPool(id);
+        }
+        if (typeof WorkerPool === 'undefined' || !WorkerPool.isSupported()) {
+            console.warn('⚠️ Web Workers unavailable, tools will run on the main thread');
+            return;
+        }
+
+        const settings = this.toolsConfig.settings || {};
+        this.workerPool = new WorkerPool('/JSs/tool-worker.js', {
+            size: settings.toolWorkers,
+            timeout: settings.toolTimeoutMs,
+            deadline: settings.toolDeadlineMs,
+            setup: { type: 'load', scripts: scripts }
+        });
+    }
+
+    // Third-party code shares a worker with nothing else: not with the bundled tools
+    // it could patch, and not with another registered tool's inputs
+    toolWorkerPool(tool) {
+        if (!this.workerPool || !this.toolSources[tool.id]) {
+            return this.workerPool;
+        }
+        if (!this.toolPools[tool.id]) {
+            const settings = this.toolsConfig.settings || {};
+            this.toolPools[tool.id] = new WorkerPool('/JSs/tool-worker.js', {
+                size: 1,
+                timeout: settings.toolTimeoutMs,
+                deadline: settings.toolDeadlineMs,
+                setup: { type: 'load', scripts: [] }
+            });
+        }
+        return this.toolPools[tool.id];
+    }
+
+    stopToolWorkerPool(id) {
+        if (this.toolPools[id]) {
+            this.toolPools[id].terminate();
+            delete this.toolPools[id];
+        }
+    }
+
+    disableTool(tool, status, errors) {
+        const id = tool && typeof tool.id === 'string' ? tool.id : '(no id)';
+        tool.enabled = false;
+        this.toolProblems.push({ id: id, name: tool.name || id, status: status, errors: errors });
+        console.error(`❌ Tool "${id}" disabled (${status}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    /**
+     * Add a tool at runtime. implementation is either a function (input, params)
+     * or an object holding manifest.function. Returns { success, id } or
+     * { success: false, errors } when the manifest doesn't validate.
+     */
+    async registerTool(manifest, implementation) {
+        await this.ready;
+
+        const tool = { enabled: true, params: [], ...manifest };
+        const isFunction = typeof implementation === 'function';
+        const errors = ToolManifest.validate(tool, { hasImplementation: true, needsFunction: !isFunction });
+
+        if (!isFunction && (!implementation || typeof implementation !== 'object')) {
+            errors.push('An implementation function or object is required');
+        } else if (!isFunction && tool.function && typeof implementation[tool.function] !== 'function') {
+            errors.push(`Implementation has no function "${tool.function}"`);
+        }
+
+        // The code is copied into the sandbox as source, so it can't use closures or native functions
+        let source = null;
+        if (errors.length === 0) {
+            try {
+                source = this.serializeImplementation(implementation);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (errors.length > 0) {
+            console.error(`❌ Could not register tool "${tool.id}":\n  - ${errors.join('\n  - ')}`);
+            return { success: false, errors: errors };
+        }
+
+        const existing = this.toolsConfig.tools.findIndex(candidate => candidate.id === tool.id);
+        if (existing !== -1) {
+            console.warn('⚠️ Replacing tool:', tool.id);
+            this.toolsConfig.tools[existing] = tool;
+        } else {
+            this.toolsConfig.tools.push(tool);
+        }
+        this.loadedTools[tool.id] = implementation;
+        this.toolSources[tool.id] = source;
+        // A replaced tool starts over in a fresh worker
+        this.stopToolWorkerPool(tool.id);
+        this.toolProblems = this.toolProblems.filter(problem => problem.id !== tool.id);
+        this.trainIntentClassifier();
+        this.trainLanguageModel();
+
+        console.log('✅ Registered tool:', tool.id, tool.version);
+        return { success: true, id: tool.id };
+    }
+
+    // Every configured tool with its version and whether it can be used
+    getToolStatus() {
+        return this.toolsConfig.tools.map(tool => {
+            const problem = this.toolProblems.find(entry => entry.id === tool.id);
+            return {
+                id: tool.id,
+                name: tool.name,
+                version: tool.version,
+                status: problem ? problem.status : tool.enabled ? 'ready' : 'disabled',
+                errors: problem ? problem.errors : []
+            };
+        });
+    }
+
+    /**
+     * Source for the tool worker: { kind: 'function', code } or
+     * { kind: 'object', members: { name: { code } | { value } } }.
+     * Non-function members must survive structured cloning.
+     */
+    serializeImplementation(implementation) {
+        const serializeFunction = (fn, name) => {
+            const code = Function.prototype.toString.call(fn).trim();
+            if (/\{\s*\[native code\]\s*\}$/.test(code)) {
+                throw new Error(`"${name}" is a native or bound function and can't run in the tool sandbox`);
+            }
+            return code;
+        };
+
+        if (typeof implementation === 'function') {
+            return { kind: 'function', code: serializeFunction(implementation, 'implementation') };
+        }
+
+        const members = {};
+        for (const [key, value] of Object.entries(implementation)) {
+            members[key] = typeof value === 'function'
+                ? { code: serializeFunction(value, key) }
+                : { value: value };
+        }
+        return { kind: 'object', members: members };
     }
 
     loadScript(src) {
@@ -108,165 +463,1213 @@ class ClientSideAI {
         }
     }
 
-    // Classify intent and find matching tool
-    classifyIntent(input) {
-        const lowerInput = input.toLowerCase();
-        let bestMatch = null;
-        let maxScore = 0;
+    // (Re)build the intent model from tool keywords, examples and past requests,
+    // in every loaded language
+    trainIntentClassifier() {
+        const settings = this.toolsConfig.settings || {};
+        const tools = this.toolsConfig.tools.map(tool => ({
+            ...tool,
+            keywords: [...(tool.keywords || []), ...this.localeEntries(tool.id, 'keywords')],
+            examples: [...(tool.examples || []), ...this.localeEntries(tool.id, 'examples')]
+        }));
+        const generalExamples = Object.values(this.locales).flatMap(locale => locale.generalExamples || []);
+
+        this.intentClassifier = new IntentClassifier();
+        this.intentClassifier.train(
+            tools,
+            [...(settings.generalExamples || []), ...generalExamples],
+            this.trainingData.intents || []
+        );
+    }
+
+    // Classify intent and find matching tool
+    classifyIntent(input) {
+        if (!this.intentClassifier) {
+            this.trainIntentClassifier();
+        }
+
+        const threshold = (this.toolsConfig.settings || {}).intentThreshold || 0.5;
+        // Shape patterns ("5 km to miles") need the whole request; plain commands read
+        // better without their text. Whichever is more certain decides.
+        let { ranked } = this.intentClassifier.classify(input);
+        const command = this.commandText(input);
+        if (command && command !== input) {
+            const masked = this.intentClassifier.classify(command).ranked;
+            if (masked[0] && (!ranked[0] || masked[0].probability > ranked[0].probability)) {
+                ranked = masked;
+            }
+        }
+        const candidates = ranked
+            .filter(entry => entry.id !== 'general')
+            .map(entry => ({
+                tool: this.toolsConfig.tools.find(tool => tool.id === entry.id),
+                confidence: entry.probability
+            }));
+
+        const scores = ranked.map(entry => ({ id: entry.id, probability: entry.probability }));
+
+        const best = ranked[0];
+        if (!best || best.id === 'general') {
+            return {
+                tool: null,
+                confidence: best ? best.probability : 0,
+                requiresGeneralResponse: true,
+                needsClarification: false,
+                threshold: threshold,
+                candidates: candidates,
+                scores: scores
+            };
+        }
+
+        const top = candidates[0];
+        return {
+            tool: top.tool,
+            confidence: top.confidence,
+            requiresGeneralResponse: false,
+            needsClarification: top.confidence < threshold,
+            threshold: threshold,
+            candidates: candidates,
+            scores: scores
+        };
+    }
+
+    // The request without the text or data it works on: 'reverse this: it is fine'
+    // -> 'reverse this:'. The classifier then weighs the command words, not whatever
+    // was pasted after them.
+    commandText(input) {
+        const text = input.replace(this.payloadPattern, ' ');
+        if (typeof TargetExtractor === 'undefined') return text;
+
+        const commandWords = this.toolsConfig.tools
+            .flatMap(tool => [...(tool.keywords || []), ...this.localeEntries(tool.id, 'keywords')]);
+        const target = TargetExtractor.fromColon(text, commandWords) || TargetExtractor.fromTrailing(text, commandWords);
+        return target && target.text
+            ? `${text.slice(0, target.start).replace(/:\s*$/, '')} ${text.slice(target.end)}`.trim()
+            : text;
+    }
+
+    // Ask which tool was meant when no tool is a confident match
+    askWhichTool(input, candidates) {
+        const options = candidates.slice(0, 3);
+        this.pendingClarification = { input, options };
+
+        const list = options
+            .map((option, index) => `${index + 1}. ${this.toolName(option.tool)} (${Math.round(option.confidence * 100)}%)`)
+            .join('\n');
+        const response = this.phrase('clarify', { options: list });
+
+        return {
+            response: response,
+            toolUsed: 'clarification',
+            candidates: options.map(option => ({ toolId: option.tool.id, confidence: option.confidence })),
+            compressionRatio: this.calculateCompressionRatio(response.length)
+        };
+    }
+
+    // Read the user's pick after askWhichTool; null means the reply is a new request
+    async resolveClarification(userInput, trace = null) {
+        const { input, options } = this.pendingClarification;
+        this.pendingClarification = null;
+
+        const answer = userInput.trim().toLowerCase().replace(/[.!]+$/, '');
+        if (this.conversationWords('decline').includes(answer)) {
+            return this.generateGeneralResponse(input);
+        }
+
+        const index = parseInt(answer, 10);
+        const named = (option) => this.toolNames(option.tool).includes(answer) || option.tool.id === answer;
+        const keyword = (option) => [...option.tool.keywords, ...this.localeEntries(option.tool.id, 'keywords')]
+            .some(word => word.toLowerCase() === answer);
+        let chosen = String(index) === answer ? options[index - 1] : options.find(named);
+        // A keyword picks its tool unless the reply is a request of its own ("list variables")
+        if (!chosen && !this.isNewRequest(userInput)) {
+            chosen = options.find(keyword);
+        }
+        if (!chosen) {
+            return null;
+        }
+
+        return this.useTool(chosen.tool, input, trace);
+    }
+
+    // Remember which tool handled a request so similar requests route the same way.
+    // Only the command is learned; the text it worked on is replaced by an empty quote.
+    learnIntent(input, toolId, target = null) {
+        if (target && target.source === 'whole') return;
+
+        // Replies and pipeline steps carry the text separately from the command. Tools
+        // without a text target (JSON, calculator) get their pasted data blanked the same
+        // way, and every entry is capped, so payloads don't pile up in localStorage
+        const request = (target && !['reply', 'pipeline'].includes(target.source)
+            ? `${input.slice(0, target.start)} "" ${input.slice(target.end)}`
+            : target ? input : input.replace(this.payloadPattern, '""')
+        ).trim().slice(0, 200);
+
+        const intents = this.trainingData.intents || (this.trainingData.intents = []);
+        intents.push({ input: request, toolId: toolId, timestamp: Date.now() });
+        if (intents.length > 500) {
+            intents.splice(0, intents.length - 500);
+        }
+
+        if (this.intentClassifier) {
+            this.intentClassifier.addDocument(toolId, request);
+        }
+        this.saveTrainingData();
+    }
+
+    // Extract and validate the parameters declared in a tool's schema
+    extractParameters(tool, input) {
+        const values = {};
+        const missing = [];
+        const errors = [];
+
+        for (const param of tool.params || []) {
+            let value = this.findParameterValue(tool, param, input);
+
+            if (value === undefined) {
+                if (param.required) {
+                    missing.push(param);
+                    continue;
+                }
+                if (param.default === undefined) continue;
+                value = param.default;
+            }
+
+            const error = this.validateParameter(param, value);
+            if (error) {
+                errors.push(error);
+            } else {
+                values[param.name] = value;
+            }
+        }
+
+        return { values, missing, errors };
+    }
+
+    findParameterValue(tool, param, input) {
+        // Explicit "name: value" / "name=value" always wins over cues
+        const explicit = input.match(new RegExp(
+            `\\b${this.escapeRegExp(param.name)}\\s*[:=]\\s*("[^"]*"|'[^']*'|[^\\s,;]+)`, 'i'
+        ));
+        if (explicit) {
+            return this.coerceParameter(param, explicit[1].replace(/^["']|["']$/g, ''));
+        }
+
+        // Natural-language cues, e.g. "each word" -> mode: 'words'
+        const cues = this.parameterCues(tool, param);
+        if (Object.keys(cues).length > 0) {
+            const lowerInput = input.toLowerCase();
+            let best = null;
+            for (const [value, phrases] of Object.entries(cues)) {
+                for (const phrase of phrases) {
+                    // Letter-aware edges, so "chaque caractère" matches at the end of a reply
+                    const pattern = new RegExp(`(?<![\\p{L}\\d_])${this.escapeRegExp(phrase.toLowerCase())}(?![\\p{L}\\d_])`, 'u');
+                    if (pattern.test(lowerInput) && (!best || phrase.length > best.phrase.length)) {
+                        best = { value, phrase };
+                    }
+                }
+            }
+            if (best) {
+                return this.coerceParameter(param, best.value);
+            }
+        }
+
+        // Free-form values captured by a pattern, e.g. "indent (\\d+)"
+        if (param.pattern) {
+            const match = input.match(new RegExp(param.pattern, 'i'));
+            if (match) {
+                // Alternatives may capture in different groups; use whichever matched
+                const captured = match.slice(1).find(group => group !== undefined);
+                return this.coerceParameter(param, captured !== undefined ? captured : match[0]);
+            }
+        }
+
+        return undefined;
+    }
+
+    coerceParameter(param, raw) {
+        switch (param.type) {
+            case 'number':
+                return Number(raw);
+            case 'boolean':
+                return /^(true|yes|on|1)$/i.test(String(raw).trim());
+            case 'enum':
+                return String(raw).trim().toLowerCase();
+            default:
+                return String(raw).trim();
+        }
+    }
+
+    validateParameter(param, value) {
+        switch (param.type) {
+            case 'number':
+                if (typeof value !== 'number' || Number.isNaN(value)) {
+                    return `"${param.name}" must be a number`;
+                }
+                if (param.min !== undefined && value < param.min) {
+                    return `"${param.name}" must be at least ${param.min}`;
+                }
+                if (param.max !== undefined && value > param.max) {
+                    return `"${param.name}" must be at most ${param.max}`;
+                }
+                return null;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : `"${param.name}" must be true or false`;
+            case 'enum':
+                return param.values.includes(value)
+                    ? null
+                    : `"${param.name}" must be one of: ${param.values.join(', ')}`;
+            default:
+                return typeof value === 'string' && value.length > 0
+                    ? null
+                    : `"${param.name}" must not be empty`;
+        }
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Ask the user for the first missing required parameter
+    askForParameter(tool, input, values, missing, problem = null) {
+        this.pendingToolCall = { tool, input, values, missing };
+
+        const param = missing[0];
+        const question = this.parameterQuestion(tool, param);
+        const response = problem ? `${this.localizeError(problem)}. ${question}` : question;
+
+        return {
+            response: response,
+            toolUsed: tool.id,
+            awaitingParameter: param.name,
+            compressionRatio: this.calculateCompressionRatio(response.length)
+        };
+    }
+
+    // The locale's prompt for a parameter, else the manifest's, else a generic question
+    parameterQuestion(tool, param) {
+        const name = this.toolName(tool);
+        if (param.isTarget) {
+            return this.phrase('askText', { tool: name });
+        }
+
+        const localized = ((((this.getLocale() || {}).tools || {})[tool.id] || {}).prompts || {})[param.name];
+        if (localized || param.prompt) {
+            return localized || param.prompt;
+        }
+
+        const question = this.phrase('askParameter', { name: param.name, tool: name });
+        return param.type === 'enum'
+            ? `${question} ${this.phrase('parameterOptions', { options: param.values.join(', ') })}`
+            : question;
+    }
+
+    // Try to read the user's reply as the answer to a pending parameter question
+    async resumePendingToolCall(userInput) {
+        const { tool, input, values, missing } = this.pendingToolCall;
+        this.pendingToolCall = null;
+
+        const param = missing[0];
+        let value = this.findParameterValue(tool, param, userInput);
+        // Any reply fits a free-text question, so one that reads as a request of its
+        // own ("what is 2 + 2") is routed as one and the question is dropped
+        if (value === undefined && !['enum', 'number', 'boolean'].includes(param.type)
+            && this.isNewRequest(userInput)) {
+            return null;
+        }
+        if (value === undefined) {
+            value = this.readParameterAnswer(param, userInput);
+        }
+        if (value === undefined) {
+            // Not an answer - treat it as a fresh request
+            return null;
+        }
+
+        const error = this.validateParameter(param, value);
+        if (error) {
+            return this.askForParameter(tool, input, values, missing, error);
+        }
+
+        if (param.isTarget) {
+            return this.runTool(tool, input, values, { text: value, start: 0, end: value.length, source: 'reply' });
+        }
+
+        const resolved = { ...values, [param.name]: value };
+        if (missing.length > 1) {
+            return this.askForParameter(tool, input, resolved, missing.slice(1));
+        }
+
+        const target = this.extractTarget(tool, input);
+        if (target && !target.text) {
+            return this.askForParameter(tool, input, resolved, [this.targetParameter(tool)]);
+        }
+
+        return this.runTool(tool, input, resolved, target);
+    }
+
+    // True when a reply to a pending question is a request in its own right: it
+    // classifies confidently, or starts with a command verb. A lone keyword
+    // ("reverse") only names a tool.
+    isNewRequest(reply) {
+        const text = reply.trim().toLowerCase();
+        const [first, ...rest] = text.split(/\s+/);
+        const keywords = tool => [...tool.keywords, ...this.localeEntries(tool.id, 'keywords')]
+            .map(keyword => keyword.toLowerCase());
+        const intent = this.classifyIntent(reply);
+        if (intent.tool && !intent.requiresGeneralResponse && !intent.needsClarification) {
+            return rest.length > 0 || !keywords(intent.tool).includes(text);
+        }
+
+        return rest.length > 0 && this.toolsConfig.tools.some(tool => keywords(tool).includes(first));
+    }
+
+    readParameterAnswer(param, reply) {
+        const answer = reply.trim().replace(/[.!]+$/, '');
+
+        switch (param.type) {
+            case 'enum': {
+                const lower = answer.toLowerCase();
+                const index = parseInt(lower, 10);
+                if (String(index) === lower && param.values[index - 1]) {
+                    return param.values[index - 1];
+                }
+                return param.values.find(value => value === lower);
+            }
+            case 'number': {
+                const match = answer.match(/-?\d+(\.\d+)?/);
+                return match ? Number(match[0]) : undefined;
+            }
+            case 'boolean':
+                if (/^(yes|y|true|on)$/i.test(answer)) return true;
+                if (/^(no|n|false|off)$/i.test(answer)) return false;
+                return undefined;
+            default:
+                return answer.length > 0 ? answer : undefined;
+        }
+    }
+
+    // The manifest's cues for a parameter plus every locale's ("cada palabra" -> words)
+    parameterCues(tool, param) {
+        const cues = {};
+        for (const [value, phrases] of Object.entries(param.cues || {})) {
+            cues[value] = [...phrases];
+        }
+        for (const locale of Object.values(this.locales)) {
+            const localized = ((((locale.tools || {})[tool.id] || {}).cues || {})[param.name]) || {};
+            for (const [value, phrases] of Object.entries(localized)) {
+                cues[value] = [...(cues[value] || []), ...phrases];
+            }
+        }
+        return cues;
+    }
+
+    // Find the text a text or code tool should work on, stripping the command words
+    extractTarget(tool, input) {
+        if (!['text', 'code'].includes(tool.input) || typeof TargetExtractor === 'undefined') {
+            return null;
+        }
+
+        const params = tool.params || [];
+        const commandWords = [...tool.keywords, ...this.localeEntries(tool.id, 'keywords')];
+        for (const param of params) {
+            for (const phrases of Object.values(this.parameterCues(tool, param))) {
+                commandWords.push(...phrases);
+            }
+        }
+
+        return TargetExtractor.extract(input, {
+            commandWords: commandWords,
+            paramNames: params.map(param => param.name),
+            quotes: tool.input !== 'code'
+        });
+    }
+
+    // Pseudo-parameter used to ask for the text when none was given
+    targetParameter(tool) {
+        return {
+            name: 'text',
+            type: 'string',
+            required: true,
+            isTarget: true
+        };
+    }
+
+    // Execute tool function in the worker pool, or on the main thread without one.
+    // Tools may return a value, a promise or an async generator that streams updates.
+    async executeToolFunction(tool, input, params = {}) {
+        const settings = this.toolsConfig.settings || {};
+        const timeout = tool.timeout || settings.toolTimeoutMs || 5000;
+        const deadline = Math.max(timeout, settings.toolDeadlineMs || 30000);
+        const controller = new AbortController();
+        const chunks = [];
+        params = { ...params, locale: this.toolLocale() };
+        const onUpdate = (update) => {
+            const normalized = this.normalizeToolUpdate(update);
+            if (!normalized) return;
+            if (normalized.type === 'chunk') chunks.push(normalized.text);
+            if (this.toolUpdateListener) {
+                this.toolUpdateListener({ ...normalized, toolId: tool.id, toolName: tool.name });
+            }
+        };
+        this.toolRuns.add(controller);
+
+        const pool = this.toolWorkerPool(tool);
+        try {
+            const result = pool
+                ? await pool.run({
+                    type: 'run',
+                    tool: { id: tool.id, module: this.loadedTools[tool.id] ? null : this.getToolModuleName(tool), function: tool.function },
+                    source: this.toolSources[tool.id] || null,
+                    input: input,
+                    params: params
+                }, { timeout: timeout, deadline: deadline, signal: controller.signal, onUpdate: onUpdate })
+                : await this.runOnMainThread(tool, input, params, controller.signal, onUpdate, { timeout, deadline });
+
+            // A generator that only streamed text returns nothing; its chunks are the result
+            if (result === undefined || result === null) {
+                return chunks.length > 0
+                    ? { success: true, streamed: true, result: chunks.join('') }
+                    : { success: false, error: 'the tool returned nothing' };
+            }
+            return result;
+
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                return {
+                    success: false,
+                    timedOut: true,
+                    error: `it took longer than ${(error.timeout || timeout) / 1000}s, so I stopped it`
+                };
+            }
+            if (error.name === 'AbortError') {
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: 'it was cancelled'
+                };
+            }
+            console.error('Tool execution error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        } finally {
+            this.toolRuns.delete(controller);
+        }
+    }
+
+    // Fallback without workers: async tools can still be cancelled or timed out
+    // between steps, but synchronous code can't be interrupted
+    async runOnMainThread(tool, input, params, signal, onUpdate, limits) {
+        const run = this.resolveToolImplementation(tool);
+        const value = run(input, params);
+        const streaming = value && typeof value[Symbol.asyncIterator] === 'function';
+
+        // Settles only by failing: on cancel, on limits.timeout without an update
+        // or at limits.deadline, like a worker call
+        let idleTimer = null;
+        let deadlineTimer = null;
+        let onAbort = null;
+        let keepAlive = () => {};
+        const stopped = new Promise((resolve, reject) => {
+            const fail = (name, message, limit) => {
+                const error = new Error(message);
+                error.name = name;
+                error.timeout = limit;
+                reject(error);
+            };
+            onAbort = () => fail('AbortError', 'Cancelled');
+            signal.addEventListener('abort', onAbort, { once: true });
+            keepAlive = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(() => fail('TimeoutError', `Timed out after ${limits.timeout} ms`, limits.timeout), limits.timeout);
+            };
+            keepAlive();
+            deadlineTimer = setTimeout(() => fail('TimeoutError', `Timed out after ${limits.deadline} ms`, limits.deadline), limits.deadline);
+        });
+        stopped.catch(() => {});
+
+        try {
+            if (streaming) {
+                while (true) {
+                    const step = await Promise.race([value.next(), stopped]);
+                    if (step.done) return step.value;
+                    keepAlive();
+                    onUpdate(step.value);
+                }
+            }
+            return await Promise.race([value, stopped]);
+        } catch (error) {
+            // Let the generator run its finally blocks; it may be stuck, so don't wait
+            if (streaming) value.return().catch(() => {});
+            throw error;
+        } finally {
+            clearTimeout(idleTimer);
+            clearTimeout(deadlineTimer);
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Streamed updates become { type: 'chunk', text } for partial output or
+     * { type: 'progress', value (0-1), message } for progress. A bare string is a
+     * chunk and a bare number is progress.
+     */
+    normalizeToolUpdate(update) {
+        if (typeof update === 'string') {
+            return { type: 'chunk', text: update };
+        }
+        if (typeof update === 'number') {
+            return { type: 'progress', value: Math.min(Math.max(update, 0), 1), message: null };
+        }
+        if (!update || typeof update !== 'object') {
+            return null;
+        }
+        if (update.type === 'chunk' || typeof update.text === 'string') {
+            return { type: 'chunk', text: String(update.text || '') };
+        }
+        if (update.type === 'progress' || typeof update.progress === 'number') {
+            const value = typeof update.value === 'number' ? update.value : update.progress;
+            return {
+                type: 'progress',
+                value: typeof value === 'number' ? Math.min(Math.max(value, 0), 1) : null,
+                message: update.message || null
+            };
+        }
+        return null;
+    }
+
+    // Stop every tool call still running; returns how many were stopped
+    cancelTools() {
+        const count = this.toolRuns.size;
+        for (const controller of this.toolRuns) {
+            controller.abort();
+        }
+        return count;
+    }
+
+    // The function behind a tool: registered code first, then the script's global module
+    resolveToolImplementation(tool) {
+        const registered = this.loadedTools[tool.id];
+        if (typeof registered === 'function') {
+            return registered;
+        }
+
+        // Registered objects may have no scriptPath, so only look up a module name without one
+        const moduleName = registered ? tool.id : this.getToolModuleName(tool);
+        const toolModule = registered || this.lookupGlobal(moduleName);
+        if (!toolModule) {
+            throw new Error(`Tool module ${moduleName} not loaded`);
+        }
+
+        const functionName = tool.function;
+        if (typeof toolModule[functionName] !== 'function') {
+            throw new Error(`Function ${functionName} not found in ${moduleName}`);
+        }
+        return toolModule[functionName].bind(toolModule);
+    }
+
+    getToolModuleName(tool) {
+        return tool.module || this.getModuleName(tool.scriptPath.split('/').pop().replace('.js', ''));
+    }
+
+    // Top-level const in a classic script is global but not a property of window
+    lookupGlobal(name) {
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) return undefined;
+        return window[name] || new Function(`return typeof ${name} === 'undefined' ? undefined : ${name};`)();
+    }
+
+    getModuleName(scriptName) {
+        // Convert script name to module name (e.g., 'text-tools' -> 'TextTools')
+        return scriptName
+            .split('-')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join('');
+    }
+
+    // Main processing function
+    // options.onUpdate receives streamed tool updates (see normalizeToolUpdate)
+    async processInput(userInput, options = {}) {
+        const startedAt = this.now();
+        const trace = this.createTrace(userInput);
+        this.toolUpdateListener = options.onUpdate || null;
+        trace.language = this.resolveLanguage(userInput);
+        this.activeLocale = trace.language.code;
+
+        try {
+            const result = await this.routeInput(userInput, trace);
+            trace.totalMs = this.elapsedSince(startedAt);
+            return { ...result, trace };
+        } finally {
+            this.toolUpdateListener = null;
+        }
+    }
+
+    // Decide what answers the input, recording each decision in the trace
+    async routeInput(userInput, trace) {
+        // "when I say X, answer Y" and "when I say X, use <tool>" teach instead of being answered.
+        // The answer form goes first, as an answer may mention a tool ("say you can run the calculator")
+        const lesson = this.parseTeachCommand(userInput);
+        if (lesson) {
+            const pattern = this.trainFromExample(lesson.input, lesson.response);
+            trace.taught = { input: pattern.input, response: pattern.response, patternId: pattern.id };
+            const response = this.phrase('taught', { input: lesson.input, response: lesson.response });
+            return {
+                response: response,
+                source: 'teach',
+                toolUsed: 'teach',
+                compressionRatio: this.calculateCompressionRatio(response.length)
+            };
+        }
+
+        const shortcut = this.parseShortcutCommand(userInput);
+        if (shortcut) {
+            const learned = this.trainShortcut(shortcut.input, shortcut.tool, shortcut.params);
+            const response = learned.success
+                ? this.phrase('taughtShortcut', { input: learned.pattern.input, tool: this.toolName(learned.tool) })
+                : this.phrase('teachFailed', { error: learned.error });
+            if (learned.success) {
+                trace.taught = { input: learned.pattern.input, tool: learned.tool.id, patternId: learned.pattern.id };
+            }
+            return {
+                response: response,
+                source: 'teach',
+                toolUsed: 'teach',
+                error: !learned.success,
+                compressionRatio: this.calculateCompressionRatio(response.length)
+            };
+        }
+
+        // Check training data first for exact matches
+        const training = await this.traceStage(trace, 'training', () => this.matchTrainingData(userInput));
+        trace.training = training;
+        if (training.matched) {
+            this.recordTrainingHit(training.patternId);
+            if (training.tool) {
+                return this.runShortcut(training, userInput, trace);
+            }
+            return {
+                response: training.response,
+                source: 'training',
+                toolUsed: 'learned',
+                compressionRatio: this.calculateCompressionRatio(training.response.length)
+            };
+        }
+
+        // A previous message may be waiting on a parameter answer
+        if (this.pendingToolCall) {
+            trace.pending = 'parameter';
+            const resumed = await this.traceStage(trace, 'resume', () => this.resumePendingToolCall(userInput));
+            if (resumed) {
+                return resumed;
+            }
+        }
+
+        // ...or on the answer to "which tool did you mean?"
+        if (this.pendingClarification) {
+            trace.pending = 'clarification';
+            const resolved = await this.traceStage(trace, 'resume', () => this.resolveClarification(userInput, trace));
+            if (resolved) {
+                return resolved;
+            }
+        }
+
+        // "now reverse that", "multiply it by 3", "again"
+        const followUp = await this.traceStage(trace, 'follow-up', () => this.resolveFollowUp(userInput));
+        if (followUp) {
+            trace.followUp = { reference: followUp.reference, toolId: followUp.tool ? followUp.tool.id : null };
+            this.updateUserProfile(userInput);
+            const result = followUp.tool
+                ? await this.useTool(followUp.tool, followUp.input, trace, followUp.target)
+                : await this.routeInput(followUp.input, trace);
+
+            // Keep "it" in the remembered request so "again" applies it to the new result
+            const context = this.getCurrentConversation().context;
+            if (context && !result.error) {
+                context.request = followUp.request;
+            }
+            return result;
+        }
+
+        // "lowercase this, then reverse it, then count the words"
+        const pipeline = await this.traceStage(trace, 'pipeline', () => this.planPipeline(userInput));
+        if (pipeline) {
+            this.updateUserProfile(userInput);
+            return this.runPipeline(pipeline, trace);
+        }
+
+        // Classify intent
+        const intent = await this.traceStage(trace, 'intent', () => this.classifyIntent(userInput));
+        trace.intent = {
+            decision: intent.needsClarification ? 'clarify' : intent.tool && !intent.requiresGeneralResponse ? 'tool' : 'general',
+            toolId: intent.tool ? intent.tool.id : null,
+            confidence: intent.confidence,
+            threshold: intent.threshold,
+            scores: intent.scores
+        };
+
+        // Update user profile
+        this.updateUserProfile(userInput);
+
+        if (intent.needsClarification) {
+            return this.askWhichTool(userInput, intent.candidates);
+        }
+
+        // Execute tool if found
+        if (!intent.requiresGeneralResponse && intent.tool) {
+            return this.useTool(intent.tool, userInput, trace);
+        }
+
+        // Generate general response
+        return this.generateGeneralResponse(userInput);
+    }
+
+    // Resolve parameters and target for a chosen tool, asking for anything missing.
+    // presetTarget skips target extraction (a follow-up already knows the text).
+    async useTool(tool, userInput, trace = null, presetTarget = null) {
+        const params = await this.traceStage(trace, 'parameters', () => this.extractParameters(tool, userInput));
+        if (trace) {
+            trace.params = {
+                values: params.values,
+                missing: params.missing.map(param => param.name),
+                errors: params.errors
+            };
+        }
+
+        if (params.errors.length > 0) {
+            const response = this.parameterErrors(tool, params.errors);
+            return {
+                response: response,
+                toolUsed: tool.id,
+                error: true,
+                compressionRatio: 0
+            };
+        }
+
+        if (params.missing.length > 0) {
+            return this.askForParameter(tool, userInput, params.values, params.missing);
+        }
+
+        const target = presetTarget || await this.traceStage(trace, 'target', () => this.extractTarget(tool, userInput));
+        if (trace && target) {
+            trace.target = { text: this.previewText(target.text, 80), source: target.source };
+        }
+        if (target && !target.text) {
+            return this.askForParameter(tool, userInput, params.values, [this.targetParameter(tool)]);
+        }
+
+        const result = await this.traceStage(trace, 'tool', () => this.runTool(tool, userInput, params.values, target));
+        if (trace) {
+            trace.tool = {
+                id: tool.id,
+                success: !result.error,
+                error: result.error ? result.toolResult.error : null
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Resolve a request that points back at the previous answer. Returns
+     * { tool, input, request, target, reference } to run, or { input, request,
+     * reference } to route again (a repeated request); request is what to
+     * remember for the next "again". null when the input stands on its own.
+     */
+    resolveFollowUp(input) {
+        const context = this.getCurrentConversation().context;
+        if (!context) return null;
+
+        // "again" repeats the last tool: on its own result for text tools, or
+        // by re-running the request (whose "it" now means the new result)
+        if (/^\s*(?:(?:do\s+)?(?:it|that|this)\s+)?(?:again|once more)[.!]?\s*$|^\s*repeat(?:\s+that)?[.!]?\s*$/i.test(input)) {
+            const tool = this.toolsConfig.tools.find(candidate => candidate.id === context.toolId);
+            if (tool && ['text', 'code'].includes(tool.input)) {
+                const target = { text: context.result, start: 0, end: context.result.length, source: 'previous' };
+                return { tool, input: context.request, request: context.request, target, reference: 'again' };
+            }
+            return { input: context.request, request: context.request, reference: 'again' };
+        }
+
+        // "it" inside the request's own payload ({"note": "it works"}) is just text
+        const masked = this.maskPayload(input);
+        const reference = masked.match(this.followUpReferences);
+        if (!reference) return null;
+
+        const intent = this.classifyIntent(input);
+        if (!intent.tool || intent.requiresGeneralResponse || intent.needsClarification) {
+            return null;
+        }
+
+        const tool = intent.tool;
+        const original = /original|input|same text/i.test(reference[0]);
+        const value = original ? context.input : context.result;
+
+        if (['text', 'code'].includes(tool.input)) {
+            // Only when the request has no text of its own ("reverse that", not "reverse it: abc")
+            const withoutReference = input.replace(this.followUpReferences, ' ');
+            const own = this.extractTarget(tool, withoutReference);
+            if (own && own.text) return null;
+
+            const target = { text: value, start: 0, end: value.length, source: 'previous' };
+            return { tool, input, request: input, target, reference: reference[0] };
+        }
+
+        // Other tools read the value in place of the reference: "multiply it by 3" -> "multiply 21 by 3",
+        // unless the request brings a payload of its own ("format that json {...}")
+        if (masked !== input) return null;
+        const end = reference.index + reference[0].length;
+        return {
+            tool,
+            input: `${input.slice(0, reference.index)} ${value} ${input.slice(end)}`.trim(),
+            request: input,
+            target: null,
+            reference: reference[0]
+        };
+    }
+
+    // Blank out the request's pasted data, keeping positions
+    maskPayload(input) {
+        return input.replace(this.payloadPattern, match => '_'.repeat(match.length));
+    }
+
+    /**
+     * Split a request into tool steps on "then", "and then" and " | ". Returns
+     * { steps: [{ text, tool }], payload } or null when the request isn't a chain
+     * of confidently recognised tools (so "if it rains then stay home" stays one request).
+     * payload is text given after the commands ("...then count the words: Hello there").
+     */
+    planPipeline(input) {
+        // Separators inside quotes or code fences belong to the text
+        const masked = input.replace(/```[\s\S]*?```|"[^"\n]*"|“[^”\n]*”/g, match => '_'.repeat(match.length));
+
+        let commands = input;
+        let maskedCommands = masked;
+        let payload = null;
+
+        // Commands on the first line, text on the following lines
+        const newline = masked.indexOf('\n');
+        if (newline !== -1 && !masked.startsWith('```')) {
+            commands = input.slice(0, newline);
+            maskedCommands = masked.slice(0, newline);
+            payload = input.slice(newline + 1);
+        }
+
+        const separator = /\s*,?\s*\b(?:and\s+then|then)\b\s*|\s+\|\s+/gi;
+        const steps = [];
+        let start = 0;
+        let match;
+        while ((match = separator.exec(maskedCommands))) {
+            steps.push(commands.slice(start, match.index));
+            start = match.index + match[0].length;
+        }
+        steps.push(commands.slice(start));
+
+        if (steps.length < 2 || steps.some((step, index) => index > 0 && !/^\s*[a-z]{3,}/i.test(step))) {
+            return null;
+        }
+
+        // "...then count the words: Hello there" - text after the last command's colon
+        const last = steps.length - 1;
+        const colon = payload === null ? steps[last].match(/^([^:]+):\s*([\s\S]+)$/) : null;
+        if (colon) {
+            steps[last] = colon[1];
+            payload = colon[2];
+        }
+        if (payload !== null) {
+            payload = payload.replace(/^[:\s]+/, '').replace(/\s+$/, '');
+        }
+
+        const planned = [];
+        for (const text of steps) {
+            const intent = this.classifyIntent(text.trim());
+            if (!intent.tool || intent.requiresGeneralResponse || intent.needsClarification) {
+                return null;
+            }
+            planned.push({ text: text.trim(), tool: intent.tool, confidence: intent.confidence });
+        }
+
+        return { steps: planned, payload: payload || null };
+    }
+
+    // Run each step on the previous step's result, stopping at the first failure
+    async runPipeline(pipeline, trace = null) {
+        const completed = [];
+        let previous = pipeline.payload;
+        let last = null;
+
+        if (trace) {
+            trace.pipeline = pipeline.steps.map(step => ({ text: step.text, toolId: step.tool.id, confidence: step.confidence }));
+        }
+
+        for (const [index, step] of pipeline.steps.entries()) {
+            const { tool } = step;
+            const takesText = ['text', 'code'].includes(tool.input);
+            const failure = (error) => this.pipelineFailure(pipeline, index, error, completed, last);
+
+            const params = this.extractParameters(tool, step.text);
+            if (params.errors.length > 0) {
+                return failure(params.errors.join('; '));
+            }
+            if (params.missing.length > 0) {
+                return failure(`missing ${params.missing.map(param => param.name).join(', ')}`);
+            }
+
+            // Text tools work on the previous result; others get it appended to the command
+            let input = step.text;
+            let target = null;
+            if (previous !== null) {
+                if (takesText) {
+                    target = { text: previous, start: 0, end: previous.length, source: 'pipeline' };
+                } else {
+                    input = `${step.text} ${previous}`;
+                }
+            } else if (takesText) {
+                target = this.extractTarget(tool, step.text);
+                if (!target || !target.text) {
+                    return failure('no text to work on');
+                }
+            }
+
+            const result = await this.traceStage(trace, `step ${index + 1} (${tool.id})`, () => this.runTool(tool, input, params.values, target));
+            if (result.error) {
+                return failure(result.toolResult ? result.toolResult.error : result.response);
+            }
+
+            last = result;
+            previous = this.toolOutput(result.toolResult);
+            completed.push({ step: index + 1, toolId: tool.id, name: this.toolName(tool), output: previous });
+        }
+
+        const final = completed[completed.length - 1];
+        const summary = this.describePipelineSteps(completed.slice(0, -1));
+        const response = this.phrase('pipelineDone', {
+            count: completed.length,
+            summary: summary,
+            step: final.step,
+            tool: final.name,
+            response: last.response
+        });
+
+        return {
+            response: response,
+            toolUsed: 'pipeline',
+            steps: completed,
+            toolResult: last.toolResult,
+            compressionRatio: this.calculateCompressionRatio(response.length)
+        };
+    }
+
+    // A tool's answer as text (for the next pipeline step or a follow-up): its result, else its formatted answer
+    toolOutput(toolResult) {
+        if (typeof toolResult.result === 'string') return toolResult.result;
+        if (typeof toolResult.result === 'number') return String(toolResult.result);
+        if (toolResult.formatted !== undefined) return String(toolResult.formatted);
+
+        const { success, ...rest } = toolResult;
+        return JSON.stringify(rest);
+    }
+
+    pipelineFailure(pipeline, index, error, completed, last) {
+        const step = pipeline.steps[index];
+        const earlier = completed.length > 0
+            ? `\n\n${this.phrase('pipelineCompleted', { summary: this.describePipelineSteps(completed) })}`
+            : '';
+        const response = this.phrase('pipelineFailed', {
+            step: index + 1,
+            total: pipeline.steps.length,
+            tool: this.toolName(step.tool),
+            error: this.localizeError(error)
+        }) + earlier;
+
+        return {
+            response: response,
+            toolUsed: 'pipeline',
+            steps: completed,
+            failedStep: index + 1,
+            toolResult: last ? last.toolResult : null,
+            error: true,
+            compressionRatio: 0
+        };
+    }
+
+    describePipelineSteps(steps) {
+        return steps
+            .map(step => `${step.step}. ${step.name} → "${this.previewText(step.output, 60)}"`)
+            .join('\n');
+    }
+
+    // Routing trace returned with every answer (shown by the "why?" panel)
+    createTrace(input) {
+        return {
+            input: input,
+            language: null,
+            taught: null,
+            training: null,
+            pending: null,
+            followUp: null,
+            pipeline: null,
+            intent: null,
+            params: null,
+            target: null,
+            tool: null,
+            stages: [],
+            totalMs: 0
+        };
+    }
+
+    // Run one routing stage and record how long it took
+    async traceStage(trace, name, work) {
+        if (!trace) {
+            return work();
+        }
+        const startedAt = this.now();
+        const result = await work();
+        trace.stages.push({ name: name, ms: this.elapsedSince(startedAt) });
+        return result;
+    }
+
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
 
-        // Check each enabled tool
-        for (const tool of this.toolsConfig.tools) {
-            if (!tool.enabled) continue;
+    elapsedSince(startedAt) {
+        return Math.round((this.now() - startedAt) * 100) / 100;
+    }
 
-            let score = 0;
-            for (const keyword of tool.keywords) {
-                if (lowerInput.includes(keyword.toLowerCase())) {
-                    score += 10;
-                }
-            }
+    // Run a tool with resolved parameters and wrap its result
+    // options.learn: false keeps the request out of the intent model (shortcuts)
+    async runTool(tool, input, params, target = null, options = {}) {
+        // Conversation-scoped tools (the calculator) read and return the variable scope
+        const conversation = tool.scope === 'conversation' ? this.getCurrentConversation() : null;
+        if (conversation) {
+            params = { ...params, variables: conversation.variables };
+        }
+
+        const toolResult = await this.executeToolFunction(tool, target || input, params);
 
-            if (score > maxScore) {
-                maxScore = score;
-                bestMatch = tool;
+        if (conversation && toolResult.success && toolResult.variables) {
+            conversation.variables = toolResult.variables;
+        }
+
+        if (toolResult.success) {
+            if (options.learn !== false) {
+                this.learnIntent(input, tool.id, target);
             }
+            this.rememberResult(tool, input, target, toolResult);
+            const response = this.formatToolResponse(tool, toolResult, target);
+            return {
+                response: response,
+                toolUsed: tool.id,
+                toolResult: toolResult,
+                params: params,
+                target: target,
+                compressionRatio: this.calculateCompressionRatio(response.length)
+            };
         }
 
+        // Tools may point at the offending spot, e.g. "5 +\n   ^"
+        const context = toolResult.context ? `\n\n${toolResult.context}` : '';
         return {
-            tool: bestMatch,
-            confidence: maxScore / 100,
-            requiresGeneralResponse: maxScore === 0 || maxScore < 5
+            response: this.phrase('toolError', { tool: this.toolName(tool), error: this.localizeError(toolResult.error) }) + context,
+            toolUsed: tool.id,
+            toolResult: toolResult,
+            error: true,
+            compressionRatio: 0
         };
     }
 
-    // Execute tool function
-    async executeToolFunction(tool, input) {
-        try {
-            // Get the tool module
-            const moduleName = tool.scriptPath.split('/').pop().replace('.js', '');
-            const toolModule = window[this.getModuleName(moduleName)];
-
-            if (!toolModule) {
-                throw new Error(`Tool module ${moduleName} not loaded`);
-            }
-
-            // Execute the function
-            const functionName = tool.function;
-            if (typeof toolModule[functionName] !== 'function') {
-                throw new Error(`Function ${functionName} not found in ${moduleName}`);
-            }
+    // What follow-ups ("reverse that", "the original") refer to
+    rememberResult(tool, input, target, toolResult) {
+        this.getCurrentConversation().context = {
+            toolId: tool.id,
+            request: input,
+            input: target ? target.text : input,
+            result: this.toolOutput(toolResult),
+            timestamp: Date.now()
+        };
+    }
 
-            const result = toolModule[functionName](input);
-            return result;
+    // Format tool response into natural language using the manifest's response template
+    formatToolResponse(tool, result, target = null) {
+        const maxLength = this.getMaxResponseLength();
+        const template = this.selectResponseTemplate(tool);
+        const localized = this.localizeResultErrors(result);
+        let response;
 
+        try {
+            response = template !== null
+                ? this.fillTemplate(template, localized)
+                : this.describeResult(localized);
         } catch (error) {
-            console.error('Tool execution error:', error);
-            return {
-                success: false,
-                error: error.message
-            };
+            console.error(`Response template for ${tool.id} failed:`, error);
+            response = this.describeResult(localized);
         }
-    }
 
-    getModuleName(scriptName) {
-        // Convert script name to module name (e.g., 'text-tools' -> 'TextTools')
-        return scriptName
-            .split('-')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-            .join('');
-    }
+        if (target && target.source !== 'whole') {
+            const echo = this.phrase('inputEcho', { source: this.label('source', target.source), preview: this.previewText(target.text, 60) });
+            if (echo) response += `\n\n${echo}`;
+        }
 
-    // Main processing function
-    async processInput(userInput) {
-        // Check training data first for exact matches
-        const trainedResponse = this.checkTrainingData(userInput);
-        if (trainedResponse) {
-            return {
-                response: trainedResponse,
-                source: 'training',
-                toolUsed: 'learned',
-                compressionRatio: this.calculateCompressionRatio(trainedResponse.length)
-            };
+        // Data output (JSON, code) is useless once cut off mid-structure
+        if (tool.truncate === false) {
+            return response;
         }
 
-        // Classify intent
-        const intent = this.classifyIntent(userInput);
+        return this.truncateToLength(response, maxLength);
+    }
 
-        // Update user profile
-        this.updateUserProfile(userInput);
+    /**
+     * A manifest's "response" is one template, or variants keyed by tone and
+     * response length: "playful.short", then "playful", then "short", then "default".
+     * The concise tone reads the short wording when a tool has no concise one.
+     * A response in the active locale's file replaces the manifest's.
+     */
+    selectResponseTemplate(tool) {
+        const localized = ((this.getLocale() || {}).tools || {})[tool.id];
+        const response = localized && localized.response !== undefined ? localized.response : tool.response;
+        if (response === undefined || response === null) return null;
+        if (typeof response === 'string' || Array.isArray(response)) return response;
+
+        const { tone, responseLength } = this.userProfile.stylePreferences;
+        const length = tone === 'concise' && response.concise === undefined ? 'short' : responseLength;
+        const keys = [`${tone}.${length}`, tone, length, 'default'];
+        const key = keys.find(candidate => response[candidate] !== undefined);
+        return key ? response[key] : null;
+    }
 
-        // Execute tool if found
-        if (!intent.requiresGeneralResponse && intent.tool) {
-            const toolResult = await this.executeToolFunction(intent.tool, userInput);
-            
-            if (toolResult.success) {
-                const response = this.formatToolResponse(intent.tool, toolResult);
-                return {
-                    response: response,
-                    toolUsed: intent.tool.id,
-                    toolResult: toolResult,
-                    compressionRatio: this.calculateCompressionRatio(response.length)
-                };
-            } else {
-                return {
-                    response: `I tried to use the ${intent.tool.name} but encountered an error: ${toolResult.error}`,
-                    toolUsed: intent.tool.id,
-                    error: true,
-                    compressionRatio: 0
-                };
-            }
+    // "Result: {result}", "{#each items join=', '}{name}{/each}" - see ResponseTemplate
+    fillTemplate(template, data) {
+        const numberFormat = (this.getLocale() || {}).numberFormat;
+        return ResponseTemplate.render(template, data, {
+            formatNumber: value => this.formatNumber(value),
+            localizeNumber: text => typeof MathTools !== 'undefined' ? MathTools.localizeDigits(text, numberFormat) : text
+        });
+    }
+
+    // Readable fallback for tools without a template: the result text, or one line per field
+    describeResult(result) {
+        if (typeof result.result === 'string') {
+            return result.result;
         }
 
-        // Generate general response
-        return this.generateGeneralResponse(userInput);
+        const label = key => key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, first => first.toUpperCase());
+        const context = { formatNumber: value => this.formatNumber(value) };
+        const lines = Object.entries(result)
+            .filter(([key, value]) => key !== 'success' && value !== undefined && value !== null)
+            .map(([key, value]) => `${label(key)}: ${ResponseTemplate.stringify(value, context)}`);
+        return lines.length > 0 ? lines.join('\n') : 'Done.';
     }
 
-    // Format tool response into natural language
-    formatToolResponse(tool, result) {
-        const maxLength = this.getMaxResponseLength();
-        let response = '';
-
-        switch(tool.id) {
-            case 'text_capitalize':
-                response = `Done! Here's the capitalized text:\n\n${result.result}`;
-                break;
-
-            case 'text_lowercase':
-                response = `Here's the lowercase version:\n\n${result.result}`;
-                break;
-
-            case 'text_count':
-                response = `Text analysis:\n\n` +
-                    `📊 Words: ${result.words}\n` +
-                    `📝 Characters: ${result.characters} (${result.charactersNoSpaces} without spaces)\n` +
-                    `📄 Sentences: ${result.sentences}\n` +
-                    `📋 Paragraphs: ${result.paragraphs}\n` +
-                    `📏 Lines: ${result.lines}\n` +
-                    `⚖️ Avg word length: ${result.averageWordLength.toFixed(2)} characters`;
-                break;
-
-            case 'calculator':
-                response = `📊 Calculation Result:\n\n` +
-                    `Expression: ${result.expression}\n` +
-                    `Answer: ${result.formatted}`;
-                break;
-
-            case 'text_reverse':
-                response = `Reversed text:\n\n${result.result}`;
-                break;
-
-            case 'json_format':
-                if (result.valid) {
-                    response = `✅ Valid JSON formatted:\n\n${result.result}`;
-                } else {
-                    response = `❌ Invalid JSON: ${result.error}`;
-                }
-                break;
-
-            default:
-                response = JSON.stringify(result, null, 2);
+    formatNumber(value) {
+        if (typeof MathTools !== 'undefined') {
+            return MathTools.formatResult(value, (this.getLocale() || {}).numberFormat);
         }
+        return String(Math.round(value * 1e4) / 1e4);
+    }
 
-        return this.truncateToLength(response, maxLength);
+    previewText(text, maxChars) {
+        const singleLine = text.replace(/\s+/g, ' ').trim();
+        return singleLine.length > maxChars ? singleLine.substring(0, maxChars) + '…' : singleLine;
     }
 
     getMaxResponseLength() {
@@ -283,98 +1686,536 @@ class ClientSideAI {
         return words.slice(0, maxWords).join(' ') + '...';
     }
 
-    // Training: Learn from user corrections
-    trainFromCorrection(userInput, wrongResponse, correctResponse) {
+    // Training: Learn from user corrections. link is { conversationId, messageId }
+    // of the corrected answer, when it came from the chat
+    trainFromCorrection(userInput, wrongResponse, correctResponse, link = {}) {
+        // High weight: a correction should win over anything taught before
+        const pattern = this.addTrainingPattern(userInput, correctResponse, 10, 'correction');
         this.trainingData.corrections.push({
             input: userInput.toLowerCase(),
             wrong: wrongResponse,
             correct: correctResponse,
+            patternId: pattern.id,
+            conversationId: link.conversationId || null,
+            messageId: link.messageId || null,
             timestamp: Date.now()
         });
 
-        // Also add as pattern
-        this.trainingData.patterns.push({
-            input: userInput.toLowerCase(),
-            response: correctResponse,
-            weight: 10 // High weight for corrections
-        });
-
         this.saveTrainingData();
         console.log('📚 Learned from correction');
+        return pattern;
     }
 
     // Training: Learn from explicit teaching
     trainFromExample(input, expectedOutput) {
-        this.trainingData.patterns.push({
-            input: input.toLowerCase(),
-            response: expectedOutput,
-            weight: 5,
-            timestamp: Date.now()
-        });
+        const pattern = this.addTrainingPattern(input, expectedOutput, 5, 'example');
 
         this.saveTrainingData();
         console.log('📚 Learned new pattern');
+        return pattern;
+    }
+
+    // { input, response } from "when I say X, answer Y" (or a locale's wording of it)
+    parseTeachCommand(input) {
+        const unquote = text => text.trim().replace(/^["“«]\s*([\s\S]*?)\s*["”»]$/, '$1');
+        for (const locale of Object.values(this.locales)) {
+            for (const source of (locale.commands || {}).teach || []) {
+                const match = input.trim().match(new RegExp(source, 'isu'));
+                if (match && unquote(match[1]) && unquote(match[2])) {
+                    return { input: unquote(match[1]), response: unquote(match[2]) };
+                }
+            }
+        }
+        return null;
+    }
+
+    // { input, tool, params } from "when I say X, use <tool> with name=value, ..."
+    parseShortcutCommand(input) {
+        for (const locale of Object.values(this.locales)) {
+            for (const source of (locale.commands || {}).shortcut || []) {
+                const match = input.trim().match(new RegExp(source, 'isu'));
+                if (!match) continue;
+
+                const params = {};
+                for (const pair of (match[3] || '').split(/\s*(?:,|\band\b)\s*/).filter(Boolean)) {
+                    const [, name, value] = pair.match(/^(\w+)\s*[=:]\s*(.+)$/) || [];
+                    if (!name) return null;
+                    params[name] = value.trim().replace(/^["']|["']$/g, '');
+                }
+                return { input: match[1].trim().replace(/^["“«]|["”»]$/g, ''), tool: match[2].trim(), params: params };
+            }
+        }
+        return null;
+    }
+
+    // An enabled tool by id or name ("unit_convert", "Unit Converter", "unit converter")
+    findTool(reference) {
+        const name = String(reference).trim().toLowerCase();
+        return this.toolsConfig.tools.find(tool => tool.enabled
+            && (tool.id === name || this.toolNames(tool).includes(name))) || null;
+    }
+
+    /**
+     * Teach a shortcut: input (which may have slots) runs a tool with fixed params.
+     * toolInput is a template for what the tool works on; by default the only
+     * slot's value, or the whole message. Param values may use slots too.
+     *   trainShortcut('shout {text}', 'text_capitalize', { mode: 'all' })
+     *   trainShortcut('{n:number} mi', 'unit_convert', {}, '{n} miles to km')
+     */
+    trainShortcut(input, toolReference, params = {}, toolInput = null) {
+        const tool = this.findTool(toolReference);
+        if (!tool) {
+            return { success: false, error: `there is no tool called "${toolReference}"` };
+        }
+        if (typeof input !== 'string' || !input.trim()) {
+            return { success: false, error: 'the shortcut needs something to say' };
+        }
+
+        // Values with slots can only be checked once they are filled in
+        const fixed = Object.fromEntries(Object.entries(params)
+            .filter(([, value]) => !(typeof value === 'string' && /\{\w+\}/.test(value))));
+        const { errors } = this.resolveShortcutParams(tool, fixed);
+        if (errors.length > 0) {
+            return { success: false, error: errors.join('; ') };
+        }
+
+        const pattern = this.addTrainingPattern(input, '', 5, 'shortcut');
+        pattern.tool = { id: tool.id, params: params, input: toolInput };
+        this.saveTrainingData();
+        console.log('📚 Learned shortcut for', tool.id);
+        return { success: true, pattern: pattern, tool: tool };
+    }
+
+    // Why a tool's settings were refused, e.g. "I couldn't use the Calculator: ..."
+    parameterErrors(tool, errors) {
+        return this.phrase('parameterErrors', {
+            tool: this.toolName(tool),
+            errors: errors.map(error => this.localizeError(error)).join('; ')
+        });
+    }
+
+    // A shortcut's fixed params, filled from the slots and checked against the tool's schema
+    resolveShortcutParams(tool, params = {}, slots = {}) {
+        const values = {};
+        const errors = [];
+
+        for (const [name, raw] of Object.entries(params || {})) {
+            const param = (tool.params || []).find(candidate => candidate.name === name);
+            if (!param) {
+                errors.push(`the ${this.toolName(tool)} has no "${name}" setting`);
+                continue;
+            }
+
+            const filled = typeof raw === 'string' ? this.fillTemplate(raw, slots) : raw;
+            const value = typeof filled === 'string' ? this.coerceParameter(param, filled) : filled;
+            const error = this.validateParameter(param, value);
+            if (error) {
+                errors.push(error);
+            } else {
+                values[name] = value;
+            }
+        }
+        return { values, errors };
+    }
+
+    // Run the tool a matched shortcut points at
+    async runShortcut(match, userInput, trace = null) {
+        const shortcut = match.tool;
+        const tool = this.findTool(shortcut.id);
+        if (!tool) {
+            const response = this.phrase('toolError', { tool: shortcut.id, error: this.localizeError('that tool is not available') });
+            return { response: response, toolUsed: shortcut.id, error: true, compressionRatio: 0 };
+        }
+
+        const slots = match.slots || {};
+        const names = Object.keys(slots);
+        const input = shortcut.input
+            ? this.fillTemplate(shortcut.input, slots)
+            : (names.length === 1 ? String(slots[names[0]]) : userInput);
+
+        // Fixed params win; anything else is read from the tool input as usual
+        const fixed = this.resolveShortcutParams(tool, shortcut.params, slots);
+        const remaining = (tool.params || []).filter(param => !(param.name in (shortcut.params || {})));
+        const rest = this.extractParameters({ ...tool, params: remaining }, input);
+        const values = { ...rest.values, ...fixed.values };
+        const errors = [...fixed.errors, ...rest.errors];
+        if (trace) {
+            trace.params = { values: values, missing: rest.missing.map(param => param.name), errors: errors };
+        }
+
+        if (errors.length > 0) {
+            const response = this.parameterErrors(tool, errors);
+            return { response: response, toolUsed: tool.id, error: true, compressionRatio: 0 };
+        }
+        if (rest.missing.length > 0) {
+            return this.askForParameter(tool, input, values, rest.missing);
+        }
+
+        const target = ['text', 'code'].includes(tool.input)
+            ? { text: input, start: 0, end: input.length, source: 'shortcut' }
+            : null;
+        const result = await this.traceStage(trace, 'tool', () => this.runTool(tool, input, values, target, { learn: false }));
+        if (trace) {
+            trace.tool = {
+                id: tool.id,
+                success: !result.error,
+                error: result.error ? result.toolResult.error : null
+            };
+        }
+        return result;
+    }
+
+    /**
+     * "That's wrong" on an answer in the current conversation: learn correctResponse
+     * for the user message before it, and keep the correction on the stored message.
+     */
+    async correctMessage(messageId, correctResponse) {
+        const conversation = this.getCurrentConversation();
+        const index = conversation.messages.findIndex(message => message.id === messageId);
+        const message = conversation.messages[index];
+        if (!message || message.role !== 'assistant') {
+            return { success: false, error: 'That answer is not in this conversation' };
+        }
+        if (typeof correctResponse !== 'string' || !correctResponse.trim()) {
+            return { success: false, error: 'Type the answer I should have given' };
+        }
+
+        const question = conversation.messages.slice(0, index).reverse().find(candidate => candidate.role === 'user');
+        if (!question) {
+            return { success: false, error: 'There is no question before that answer to learn from' };
+        }
+
+        const pattern = this.trainFromCorrection(question.content, message.content, correctResponse.trim(), {
+            conversationId: conversation.id,
+            messageId: messageId
+        });
+        message.correction = {
+            response: correctResponse.trim(),
+            patternId: pattern.id,
+            timestamp: Date.now()
+        };
+
+        await this.saveConversation(conversation);
+        return { success: true, patternId: pattern.id };
+    }
+
+    addTrainingPattern(input, response, weight, source) {
+        const pattern = this.normalizeTrainingPattern({
+            input: input,
+            response: response,
+            weight: weight,
+            source: source,
+            timestamp: Date.now()
+        });
+        this.trainingData.patterns.push(pattern);
+        this.indexTrainingPattern(pattern);
+        return pattern;
+    }
+
+    // Fill in fields that patterns saved by older versions don't have
+    normalizeTrainingPattern(pattern) {
+        const created = pattern.timestamp || Date.now();
+        return {
+            id: pattern.id || `pat_${created.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            input: this.normalizePatternInput(pattern.input),
+            response: String(pattern.response || ''),
+            weight: Number.isFinite(pattern.weight) ? pattern.weight : 1,
+            source: pattern.source || 'example',
+            // Shortcuts run a tool instead of answering: { id, params, input }
+            tool: pattern.tool || null,
+            enabled: pattern.enabled !== false,
+            hits: pattern.hits || 0,
+            lastHit: pattern.lastHit || null,
+            timestamp: created,
+            updated: pattern.updated || created
+        };
+    }
+
+    // Lowercase the literal text only; slot names stay as written because the
+    // response refers to them ("call me {firstName}" -> "Hi {firstName}!")
+    normalizePatternInput(input) {
+        return String(input || '')
+            .replace(/\{[^}]*\}|[^{]+/g, part => part.startsWith('{') ? part : part.toLowerCase())
+            .trim();
     }
 
     // Check if we have learned this pattern
     checkTrainingData(input) {
+        const match = this.matchTrainingData(input);
+        return match.matched ? match.response : null;
+    }
+
+    /**
+     * Closest learned pattern, whether or not it is close enough to answer with.
+     * Disabled patterns are skipped. When several patterns match equally well the
+     * heavier one wins, then the most recently taught or edited. Patterns with
+     * slots ("my name is {name}") match in full or not at all; the captured
+     * values are in slots and fill the response like a response template.
+     */
+    matchTrainingData(input) {
         const lowerInput = input.toLowerCase().trim();
-        
+        const threshold = (this.toolsConfig.settings || {}).trainingThreshold || 0.75;
+        if (!this.patternIndex) this.buildPatternIndex();
+        const byId = ids => ids.map(id => this.patternsById.get(id)).filter(pattern => pattern && pattern.enabled !== false);
+        const result = (pattern, similarity, exact, slots = null) => ({
+            matched: exact || similarity >= threshold,
+            exact: exact,
+            similarity: similarity,
+            threshold: threshold,
+            pattern: pattern ? pattern.input : null,
+            patternId: pattern ? pattern.id : null,
+            slots: slots,
+            tool: pattern ? pattern.tool : null,
+            response: pattern ? this.fillLearnedResponse(pattern, slots) : null
+        });
+
         // Exact match
-        for (const pattern of this.trainingData.patterns) {
-            if (pattern.input === lowerInput) {
-                return pattern.response;
+        const exact = byId(this.patternIndex.exact(lowerInput)).sort((a, b) => this.comparePatterns(a, b));
+        if (exact.length > 0) {
+            return result(exact[0], 1, true);
+        }
+
+        // Slot patterns: only those whose fixed words share some spelling with the
+        // input are tried; the heaviest wins, then the one with the most fixed text
+        const slotted = byId([...this.slotIndex.candidates(input, Infinity), ...this.bareSlotPatterns])
+            .map(pattern => ({ pattern, slots: this.matchSlotPattern(pattern.input, input.trim()) }))
+            .filter(candidate => candidate.slots)
+            .sort((a, b) => this.comparePatterns(a.pattern, b.pattern)
+                || this.literalLength(b.pattern.input) - this.literalLength(a.pattern.input));
+        if (slotted.length > 0) {
+            return result(slotted[0].pattern, 1, true, slotted[0].slots);
+        }
+
+        // Fuzzy match: the same words in any order, give or take stop words and typos
+        let best = result(null, 0, false);
+        let bestPattern = null;
+        for (const { id, similarity } of this.patternIndex.search(input, { limit: 20 })) {
+            const pattern = this.patternsById.get(id);
+            const better = similarity > best.similarity
+                || (similarity === best.similarity && bestPattern && this.comparePatterns(pattern, bestPattern) < 0);
+            if (better) {
+                best = result(pattern, similarity, false);
+                bestPattern = pattern;
             }
         }
 
-        // Fuzzy match (similar inputs)
-        const similarity = 0.8;
-        for (const pattern of this.trainingData.patterns) {
-            if (this.calculateSimilarity(lowerInput, pattern.input) > similarity) {
-                return pattern.response;
+        return best.matched ? best : { ...best, response: null };
+    }
+
+    /**
+     * Index the learned patterns for matchTrainingData. Plain patterns are
+     * searched by their words and slot patterns by their fixed words; a slot
+     * pattern with no fixed words at all ("{anything}") is tried on every input.
+     */
+    buildPatternIndex() {
+        const stopWords = Object.values(this.locales).flatMap(locale => locale.stopWords || []);
+        this.patternIndex = new PatternIndex({ stopWords });
+        // Fixed words must appear as written, stop words included ("{thing} please")
+        this.slotIndex = new PatternIndex();
+        this.bareSlotPatterns = new Set();
+        this.patternsById = new Map();
+        this.trainingData.patterns.forEach(pattern => this.indexTrainingPattern(pattern));
+    }
+
+    // Add a pattern to the index, or refresh it after its input or enabled flag changed
+    indexTrainingPattern(pattern) {
+        if (!this.patternIndex) return;
+        this.unindexTrainingPattern(pattern.id);
+        this.patternsById.set(pattern.id, pattern);
+        if (pattern.enabled === false) return;
+
+        const literal = pattern.input.replace(/\{\w+(?::\w+)?\}/g, ' ');
+        if (!this.compileSlotPattern(pattern.input)) {
+            this.patternIndex.add(pattern.id, pattern.input);
+        } else if (/[\p{L}\p{N}]/u.test(literal)) {
+            this.slotIndex.add(pattern.id, literal);
+        } else {
+            this.bareSlotPatterns.add(pattern.id);
+        }
+    }
+
+    unindexTrainingPattern(patternId) {
+        if (!this.patternIndex) return;
+        this.patternIndex.remove(patternId);
+        this.slotIndex.remove(patternId);
+        this.bareSlotPatterns.delete(patternId);
+        this.patternsById.delete(patternId);
+    }
+
+    /**
+     * "my name is {name}" -> /^my\s+name\s+is\s+(.+?)$/, or null for a pattern
+     * without slots. {n:number} only matches a number and {w:word} a single word.
+     */
+    compileSlotPattern(input) {
+        if (this.slotPatterns.has(input)) return this.slotPatterns.get(input);
+
+        const shapes = { text: '(.+?)', number: '(-?\\d+(?:[.,]\\d+)?)', word: '(\\S+)' };
+        const literal = text => this.escapeRegExp(text).replace(/\s+/g, '\\s+');
+        const slotTag = /\{(\w+)(?::(text|number|word))?\}/g;
+        const slots = [];
+        let source = '';
+        let last = 0;
+        let match;
+
+        while ((match = slotTag.exec(input))) {
+            const type = match[2] || 'text';
+            source += literal(input.slice(last, match.index)) + shapes[type];
+            slots.push({ name: match[1], type: type });
+            last = slotTag.lastIndex;
+        }
+        source += literal(input.slice(last));
+
+        const compiled = slots.length > 0 ? { regex: new RegExp(`^${source}$`, 'isu'), slots: slots } : null;
+        this.slotPatterns.set(input, compiled);
+        return compiled;
+    }
+
+    // Captured slot values by name, or null when the input doesn't fit the pattern
+    matchSlotPattern(patternInput, input) {
+        const compiled = this.compileSlotPattern(patternInput);
+        const match = compiled && input.match(compiled.regex);
+        if (!match) return null;
+
+        const values = {};
+        compiled.slots.forEach((slot, index) => {
+            const value = match[index + 1].trim();
+            values[slot.name] = slot.type === 'number' ? Number(value.replace(',', '.')) : value;
+        });
+        return values;
+    }
+
+    // How much of a pattern is fixed text rather than slots
+    literalLength(patternInput) {
+        return patternInput.replace(/\{\w+(?::\w+)?\}/g, '').length;
+    }
+
+    // A plain pattern answers with its response as is; a slot pattern's response is a template
+    fillLearnedResponse(pattern, slots) {
+        if (!slots) return pattern.response;
+
+        // Patterns saved before slot names kept their case have them lowercased
+        const data = { ...slots };
+        for (const [, name] of pattern.response.matchAll(/\{(\w+)/g)) {
+            if (!(name in data) && name.toLowerCase() in slots) {
+                data[name] = slots[name.toLowerCase()];
             }
         }
+        try {
+            return this.fillTemplate(pattern.response, data);
+        } catch (error) {
+            console.error('Learned response template failed:', error);
+            return pattern.response;
+        }
+    }
 
-        return null;
+    // Sort order for conflicting patterns: higher weight first, then newer
+    comparePatterns(a, b) {
+        return (b.weight || 0) - (a.weight || 0) || (b.updated || b.timestamp || 0) - (a.updated || a.timestamp || 0);
     }
 
-    calculateSimilarity(str1, str2) {
-        // Simple Levenshtein distance similarity
-        const longer = str1.length > str2.length ? str1 : str2;
-        const shorter = str1.length > str2.length ? str2 : str1;
-        
-        if (longer.length === 0) return 1.0;
-        
-        return (longer.length - this.editDistance(longer, shorter)) / longer.length;
-    }
-
-    editDistance(str1, str2) {
-        const costs = [];
-        for (let i = 0; i <= str1.length; i++) {
-            let lastValue = i;
-            for (let j = 0; j <= str2.length; j++) {
-                if (i === 0) {
-                    costs[j] = j;
-                } else if (j > 0) {
-                    let newValue = costs[j - 1];
-                    if (str1.charAt(i - 1) !== str2.charAt(j - 1)) {
-                        newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-                    }
-                    costs[j - 1] = lastValue;
-                    lastValue = newValue;
-                }
+    recordTrainingHit(patternId) {
+        const pattern = this.patternsById.get(patternId);
+        if (!pattern) return;
+        pattern.hits = (pattern.hits || 0) + 1;
+        pattern.lastHit = Date.now();
+        this.saveTrainingData();
+    }
+
+    /**
+     * Learned patterns for the training manager, newest first (or by 'hits' or
+     * 'weight'). options.search filters on the input and response text. Each entry
+     * lists the ids of other enabled patterns with the same input (conflicts) and
+     * the wrong answer it corrected, if any.
+     */
+    listTrainingPatterns(options = {}) {
+        const search = (options.search || '').toLowerCase().trim();
+        const orders = {
+            recent: (a, b) => (b.updated || 0) - (a.updated || 0),
+            hits: (a, b) => (b.hits || 0) - (a.hits || 0) || (b.lastHit || 0) - (a.lastHit || 0),
+            weight: (a, b) => this.comparePatterns(a, b)
+        };
+
+        return this.trainingData.patterns
+            .filter(pattern => !search
+                || pattern.input.toLowerCase().includes(search)
+                || pattern.response.toLowerCase().includes(search))
+            .sort(orders[options.sort] || orders.recent)
+            .map(pattern => {
+                const correction = this.trainingData.corrections.find(entry => entry.patternId === pattern.id);
+                return {
+                    ...pattern,
+                    corrected: correction ? correction.wrong : null,
+                    conflicts: this.trainingData.patterns
+                        .filter(other => other !== pattern && other.enabled && other.input === pattern.input)
+                        .map(other => other.id)
+                };
+            });
+    }
+
+    // Change a pattern's input, response, weight or enabled flag
+    updateTrainingPattern(patternId, changes = {}) {
+        const pattern = this.trainingData.patterns.find(candidate => candidate.id === patternId);
+        if (!pattern) {
+            return { success: false, error: `No learned pattern with id ${patternId}` };
+        }
+
+        const errors = [];
+        if (changes.input !== undefined && (typeof changes.input !== 'string' || !changes.input.trim())) {
+            errors.push('the input cannot be empty');
+        }
+        const input = typeof changes.input === 'string' ? this.normalizePatternInput(changes.input) : pattern.input;
+        if (changes.response !== undefined && !pattern.tool && (typeof changes.response !== 'string' || !changes.response.trim())) {
+            errors.push('the response cannot be empty');
+        } else if (typeof changes.response === 'string' && this.compileSlotPattern(input)) {
+            try {
+                ResponseTemplate.parse(changes.response);
+            } catch (error) {
+                errors.push(`the response is not a valid template (${error.message})`);
             }
-            if (i > 0) costs[str2.length] = lastValue;
         }
-        return costs[str2.length];
+        if (changes.weight !== undefined && !(Number.isFinite(changes.weight) && changes.weight >= 0)) {
+            errors.push('the weight must be a number of 0 or more');
+        }
+        if (errors.length > 0) {
+            return { success: false, error: errors.join('; ') };
+        }
+
+        if (changes.input !== undefined) pattern.input = input;
+        if (changes.response !== undefined) pattern.response = changes.response;
+        if (changes.weight !== undefined) pattern.weight = changes.weight;
+        if (changes.enabled !== undefined) pattern.enabled = Boolean(changes.enabled);
+        pattern.updated = Date.now();
+        this.indexTrainingPattern(pattern);
+
+        this.saveTrainingData();
+        return { success: true, pattern: { ...pattern } };
+    }
+
+    setTrainingPatternEnabled(patternId, enabled) {
+        return this.updateTrainingPattern(patternId, { enabled: enabled });
+    }
+
+    // Forget one pattern and the correction that created it
+    deleteTrainingPattern(patternId) {
+        const index = this.trainingData.patterns.findIndex(candidate => candidate.id === patternId);
+        if (index === -1) {
+            return { success: false, error: `No learned pattern with id ${patternId}` };
+        }
+
+        this.trainingData.patterns.splice(index, 1);
+        this.unindexTrainingPattern(patternId);
+        this.trainingData.corrections = this.trainingData.corrections.filter(entry => entry.patternId !== patternId);
+        this.saveTrainingData();
+        console.log('🗑️ Forgot learned pattern', patternId);
+        return { success: true };
     }
 
     // Generate general response
     generateGeneralResponse(input) {
         const maxLength = this.getMaxResponseLength();
-        const responses = this.createContextualResponse(input);
-        const selectedResponse = responses[Math.floor(Math.random() * responses.length)];
-        
+        const { kind, variants } = this.createContextualResponse(input);
+        const selectedResponse = this.pickVariant(kind, variants);
+
         return {
             response: this.truncateToLength(selectedResponse, maxLength),
             toolUsed: 'general',
@@ -382,25 +2223,66 @@ class ClientSideAI {
         };
     }
 
+    // Every wording of the right reply in the user's tone
     createContextualResponse(input) {
         const lowerInput = input.toLowerCase();
 
-        if (lowerInput.match(/^(hi|hello|hey|greetings)/)) {
-            return [
-                `Hello! I'm your AI assistant. I can execute actual tools for text manipulation, calculations, and more. Try asking me to capitalize text or solve math problems!`
-            ];
+        if (this.conversationWords('greeting').some(word => lowerInput.startsWith(word))) {
+            return { kind: 'greeting', variants: this.phraseVariants('greeting') };
+        }
+
+        const thanks = this.conversationWords('thanks').map(word => this.escapeRegExp(word)).join('|');
+        if (thanks && new RegExp(`^(?:${thanks})(?![\\p{L}\\d_])`, 'u').test(lowerInput)) {
+            return { kind: 'thanks', variants: this.phraseVariants('thanks') };
+        }
+
+        if (this.conversationWords('help').some(word => lowerInput.includes(word))) {
+            const tools = this.toolsConfig.tools.filter(t => t.enabled).map(t => this.toolName(t)).join(', ');
+            const responseLength = this.label('responseLength', this.userProfile.stylePreferences.responseLength);
+            return {
+                kind: 'help',
+                variants: this.phraseVariants('help', { tools: tools, responseLength: responseLength })
+            };
         }
 
-        if (lowerInput.includes('help') || lowerInput.includes('what can you do')) {
-            const tools = this.toolsConfig.tools.filter(t => t.enabled).map(t => t.name).join(', ');
-            return [
-                `I can help with: ${tools}. I also learn from your corrections and improve over time! Response length: ${this.userProfile.stylePreferences.responseLength}.`
-            ];
+        return { kind: 'unknown', variants: this.phraseVariants('unknown', { input: input }) };
+    }
+
+    // Greeting, thanks and help words from every loaded locale ("hola", "merci")
+    conversationWords(kind) {
+        return Object.values(this.locales).flatMap(locale => (locale.conversation || {})[kind] || []);
+    }
+
+    // One wording of a phrase from the locale files, filled like a response template
+    phrase(key, data = {}) {
+        return this.pickVariant(key, this.phraseVariants(key, data));
+    }
+
+    // Variants in the current locale and tone, falling back to friendly, then to the default locale
+    phraseVariants(key, data = {}) {
+        const tone = this.userProfile.stylePreferences.tone;
+        const locales = [this.getLocale(), this.locales[this.defaultLocaleCode()]].filter(Boolean);
+
+        for (const locale of locales) {
+            const tones = locale.tones || {};
+            const variants = (tones[tone] && tones[tone][key]) || (tones.friendly && tones.friendly[key]);
+            if (variants) {
+                return variants.map(variant => this.fillTemplate(variant, data));
+            }
         }
+        return [];
+    }
 
-        return [
-            `I understand you're asking about: "${input}". I couldn't find a specific tool for this, but I'm learning! You can teach me by showing me what the correct response should be.`
-        ];
+    // Random, but never the same variant twice in a row for the same kind of reply
+    pickVariant(kind, variants) {
+        if (variants.length === 0) return '';
+
+        let index = Math.floor(Math.random() * variants.length);
+        if (variants.length > 1 && index === this.lastPhrases[kind]) {
+            index = (index + 1) % variants.length;
+        }
+        this.lastPhrases[kind] = index;
+        return variants[index];
     }
 
     // Update user profile
@@ -422,9 +2304,9 @@ class ClientSideAI {
         const topics = [];
         const keywords = {
             text: ['text', 'word', 'string', 'capitalize', 'lowercase'],
-            math: ['calculate', 'math', 'number', 'compute'],
-            code: ['code', 'function', 'javascript', 'program'],
-            data: ['json', 'format', 'data', 'parse']
+            math: ['calculate', 'math', 'number', 'compute', 'statistics', 'average', 'median', 'percent', 'convert', 'units', 'hex', 'binary', 'bitwise'],
+            code: ['code', 'function', 'javascript', 'program', 'parse', 'analyze', 'analyse', 'tokenize', 'syntax'],
+            data: ['json', 'format', 'data', 'parse', 'minify', 'jsonpath', 'payload']
         };
 
         for (const [topic, words] of Object.entries(keywords)) {
@@ -464,7 +2346,8 @@ class ClientSideAI {
     }
 
     // Save conversation to IndexedDB (bypasses 5MB localStorage limit)
-    async saveConversationToIDB(conversationId, messages) {
+    // state holds calculator variables and the follow-up context
+    async saveConversationToIDB(conversationId, messages, state = null, title = null) {
         try {
             const db = await this.initIndexedDB();
             const compressed = this.compress(messages);
@@ -474,7 +2357,9 @@ class ClientSideAI {
             
             await store.put({
                 id: conversationId,
+                title: title,
                 data: compressed,
+                state: state ? this.compress(state) : null,
                 timestamp: Date.now()
             });
             
@@ -488,6 +2373,12 @@ class ClientSideAI {
 
     // Load conversation from IndexedDB
     async loadConversationFromIDB(conversationId) {
+        const record = await this.loadConversationRecordFromIDB(conversationId);
+        return record ? record.messages : null;
+    }
+
+    // Title, messages and saved state ({ variables, context }) for one conversation
+    async loadConversationRecordFromIDB(conversationId) {
         try {
             const db = await this.initIndexedDB();
             const transaction = db.transaction(['conversations'], 'readonly');
@@ -497,8 +2388,12 @@ class ClientSideAI {
                 const request = store.get(conversationId);
                 request.onsuccess = () => {
                     if (request.result) {
-                        const messages = this.decompress(request.result.data);
-                        resolve(messages);
+                        resolve({
+                            // Conversations saved before titles were stored have none
+                            title: request.result.title || null,
+                            messages: this.decompress(request.result.data),
+                            state: request.result.state ? this.decompress(request.result.state) : null
+                        });
                     } else {
                         resolve(null);
                     }
@@ -521,6 +2416,10 @@ class ClientSideAI {
             
             // Also remove from memory
             this.conversations.delete(conversationId);
+            if (this.currentConversationId === conversationId) {
+                this.currentConversationId = null;
+                localStorage.removeItem('lastConversationId');
+            }
             
             console.log('🗑️ Deleted conversation:', conversationId);
             return true;
@@ -578,19 +2477,25 @@ class ClientSideAI {
         if (compressed) {
             const data = this.decompress(compressed);
             if (data) {
-                this.trainingData = data;
+                // "responses" was never used; older saves still carry it
+                const { responses, ...stored } = data;
+                this.trainingData = { patterns: [], corrections: [], intents: [], ...stored };
+                this.trainingData.patterns = this.trainingData.patterns.map(pattern => this.normalizeTrainingPattern(pattern));
             }
         }
+        this.buildPatternIndex();
     }
 
     // Clear all training data
     clearTrainingData() {
         this.trainingData = {
             patterns: [],
-            responses: [],
-            corrections: []
+            corrections: [],
+            intents: []
         };
         localStorage.removeItem('trainingData');
+        this.buildPatternIndex();
+        this.trainIntentClassifier();
         console.log('🧹 Training data cleared');
     }
 
@@ -614,15 +2519,27 @@ class ClientSideAI {
     createConversation() {
         const id = `conv_${Date.now()}`;
         this.currentConversationId = id;
+        this.pendingToolCall = null;
+        this.pendingClarification = null;
+        localStorage.setItem('lastConversationId', id);
         this.conversations.set(id, {
             id: id,
             title: 'New Conversation',
             messages: [],
+            variables: {},
+            context: null,
             created: Date.now()
         });
         return id;
     }
 
+    getCurrentConversation() {
+        if (!this.currentConversationId || !this.conversations.has(this.currentConversationId)) {
+            this.createConversation();
+        }
+        return this.conversations.get(this.currentConversationId);
+    }
+
     // Add message to conversation
     async addMessage(role, content, metadata = {}) {
         if (!this.currentConversationId) {
@@ -631,6 +2548,7 @@ class ClientSideAI {
 
         const conversation = this.conversations.get(this.currentConversationId);
         const message = {
+            id: `msg_${Date.now().toString(36)}_${conversation.messages.length}`,
             role,
             content,
             timestamp: Date.now(),
@@ -644,46 +2562,92 @@ class ClientSideAI {
         }
 
         // Save to IndexedDB instead of localStorage
-        await this.saveConversationToIDB(this.currentConversationId, conversation.messages);
+        await this.saveConversation(conversation);
 
         return message;
     }
 
-    // Get all conversations
+    saveConversation(conversation) {
+        return this.saveConversationToIDB(conversation.id, conversation.messages, {
+            variables: conversation.variables,
+            context: conversation.context
+        }, conversation.title);
+    }
+
+    // Get all conversations, most recently active first
     async getAllConversations() {
         const ids = await this.getAllConversationsFromIDB();
         const conversations = [];
 
         for (const id of ids) {
-            const messages = await this.loadConversationFromIDB(id);
+            const record = await this.loadConversationRecordFromIDB(id);
+            const messages = record && record.messages;
             if (messages && messages.length > 0) {
+                const last = messages[messages.length - 1];
                 conversations.push({
                     id,
-                    title: messages[0].content.substring(0, 50),
-                    preview: messages[messages.length - 1].content.substring(0, 100),
-                    messageCount: messages.length
+                    title: record.title || messages[0].content.substring(0, 50),
+                    preview: last.content.substring(0, 100),
+                    messageCount: messages.length,
+                    updated: last.timestamp || 0
                 });
             }
         }
 
-        return conversations.sort((a, b) => b.id.localeCompare(a.id));
+        return conversations.sort((a, b) => b.updated - a.updated || b.id.localeCompare(a.id));
     }
 
     // Switch conversation
     async switchConversation(conversationId) {
-        const messages = await this.loadConversationFromIDB(conversationId);
-        if (messages) {
+        const record = await this.loadConversationRecordFromIDB(conversationId);
+        if (record && record.messages) {
+            const { messages, state } = record;
             this.currentConversationId = conversationId;
+            this.pendingToolCall = null;
+            this.pendingClarification = null;
+            localStorage.setItem('lastConversationId', conversationId);
             this.conversations.set(conversationId, {
                 id: conversationId,
                 messages: messages,
-                title: messages[0]?.content.substring(0, 50) || 'Conversation'
+                variables: (state && state.variables) || {},
+                context: (state && state.context) || null,
+                title: record.title || messages[0]?.content.substring(0, 50) || 'Conversation'
             });
             return messages;
         }
         return null;
     }
 
+    // Reopen the conversation that was open when the page was last left; null if there is none
+    async restoreLastConversation() {
+        const conversationId = localStorage.getItem('lastConversationId');
+        return conversationId ? this.switchConversation(conversationId) : null;
+    }
+
+    async renameConversation(conversationId, title) {
+        if (typeof title !== 'string' || !title.trim()) {
+            return { success: false, error: 'The title cannot be empty' };
+        }
+
+        let conversation = this.conversations.get(conversationId);
+        if (!conversation) {
+            const record = await this.loadConversationRecordFromIDB(conversationId);
+            if (!record) {
+                return { success: false, error: `No conversation with id ${conversationId}` };
+            }
+            conversation = {
+                id: conversationId,
+                messages: record.messages,
+                variables: (record.state && record.state.variables) || {},
+                context: (record.state && record.state.context) || null
+            };
+        }
+
+        conversation.title = title.trim().substring(0, 100);
+        await this.saveConversation(conversation);
+        return { success: true, title: conversation.title };
+    }
+
     // Update response length preference
     setResponseLength(length) {
         if (['short', 'medium', 'long'].includes(length)) {
@@ -693,6 +2657,24 @@ class ClientSideAI {
         }
     }
 
+    // Update tone (friendly, concise, formal, playful)
+    setTone(tone) {
+        if (ToolManifest.tones.includes(tone)) {
+            this.userProfile.stylePreferences.tone = tone;
+            this.saveUserProfile();
+            console.log('✅ Tone set to:', tone);
+        }
+    }
+
+    // Update language: a loaded locale code, or 'auto' to answer in the message's language
+    setLanguage(language) {
+        if (language === 'auto' || this.locales[language]) {
+            this.userProfile.language = language;
+            this.saveUserProfile();
+            console.log('✅ Language set to:', language);
+        }
+    }
+
     // Update storage limit
     setStorageLimit(limitMB) {
         this.userProfile.storageLimit = limitMB * 1024 * 1024;
@@ -0,0 +1,173 @@
+/**
+ * Intent Classifier - Naive Bayes over words, word pairs and symbols
+ * Trained on tool keywords, example utterances and past successful requests
+ */
+
+class IntentClassifier {
+    constructor(options = {}) {
+        this.smoothing = options.smoothing || 0.5;
+        // Posteriors come from the log-likelihood averaged over the known features plus
+        // a few pseudo-features, so a long pasted text doesn't make the model more
+        // certain than a short command and a single shared word can't decide alone
+        this.sharpness = options.sharpness || 6;
+        this.pseudoFeatures = options.pseudoFeatures || 2;
+        this.patternWeight = options.patternWeight || 4;
+        this.stopWords = new Set([
+            'a', 'an', 'the', 'is', 'are', 'be', 'it', 'this', 'that', 'me', 'my', 'i', 'you',
+            'please', 'can', 'could', 'would', 'to', 'in', 'of', 'for', 'on', 'and', 'with'
+        ]);
+        this.reset();
+    }
+
+    reset() {
+        this.classes = new Map();
+        this.vocabulary = new Set();
+        this.patterns = [];
+    }
+
+    /**
+     * Build the model. Each tool is a class trained on its name, keywords and
+     * examples; "general" is trained on small talk so chat isn't forced into a tool.
+     * learned is a list of { input, toolId } from past successful requests.
+     */
+    train(tools, generalExamples = [], learned = []) {
+        this.reset();
+
+        for (const tool of tools) {
+            if (!tool.enabled) continue;
+
+            this.addDocument(tool.id, tool.name);
+            for (const keyword of tool.keywords || []) {
+                this.addDocument(tool.id, keyword);
+            }
+            for (const example of tool.examples || []) {
+                this.addDocument(tool.id, example);
+            }
+            for (const pattern of tool.patterns || []) {
+                this.addPattern(tool.id, pattern);
+            }
+        }
+
+        for (const example of generalExamples) {
+            this.addDocument('general', example);
+        }
+
+        for (const entry of learned) {
+            if (this.classes.has(entry.toolId)) {
+                this.addDocument(entry.toolId, entry.input);
+            }
+        }
+    }
+
+    addDocument(classId, text, weight = 1) {
+        const model = this.getClass(classId);
+        model.documents++;
+
+        // Each feature counts once per document (binarized naive Bayes)
+        for (const feature of new Set(this.tokenize(text))) {
+            model.counts.set(feature, (model.counts.get(feature) || 0) + weight);
+            model.total += weight;
+            this.vocabulary.add(feature);
+        }
+    }
+
+    // Shape patterns ("5 miles to km") become a feature that only their tool has seen
+    addPattern(classId, source) {
+        const feature = `pattern:${classId}`;
+        const model = this.getClass(classId);
+
+        this.patterns.push({ classId, feature, regex: new RegExp(source, 'i') });
+        if (!model.counts.has(feature)) {
+            model.counts.set(feature, this.patternWeight);
+            model.total += this.patternWeight;
+            this.vocabulary.add(feature);
+        }
+    }
+
+    getClass(classId) {
+        if (!this.classes.has(classId)) {
+            this.classes.set(classId, { documents: 0, total: 0, counts: new Map() });
+        }
+        return this.classes.get(classId);
+    }
+
+    /**
+     * Words in any alphabet (hyphenated words stay whole, so "well-known" is not a
+     * minus sign), number placeholders, operator symbols and adjacent word pairs. The
+     * inside of a double-quoted string is the payload, not the request, and is skipped.
+     */
+    tokenize(text) {
+        const unquoted = String(text).replace(/"[^"\n]*"|“[^”\n]*”/g, ' " ');
+        const raw = unquoted.toLowerCase().match(
+            /0x[0-9a-f_]+|0b[01_]+|0o[0-7_]+|\d+(?:[.,]\d+)*|\p{L}+(?:['-]\p{L}+)*|<<|>>|\*\*|=>|\$[.[]|[+\-*/^%=&|~!$?{}[\]()":;<>#`@]/gu
+        ) || [];
+
+        const tokens = raw.map(token => {
+            if (/^0[xbo]/.test(token)) return '<int>';
+            if (/^\d/.test(token)) return '<num>';
+            // Crude plural folding: "words" -> "word", but not "class" or "is"
+            if (/^[a-z]{4,}s$/.test(token) && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+            return token;
+        });
+
+        const features = tokens.filter(token => !this.stopWords.has(token));
+        for (let i = 0; i < tokens.length - 1; i++) {
+            if (/^[\p{L}<]/u.test(tokens[i]) && /^[\p{L}<]/u.test(tokens[i + 1])) {
+                features.push(`${tokens[i]} ${tokens[i + 1]}`);
+            }
+        }
+        return features;
+    }
+
+    // Features of an input, including which tool patterns it matches
+    featurize(text) {
+        const features = new Set(this.tokenize(text));
+        for (const pattern of this.patterns) {
+            if (pattern.regex.test(text)) {
+                features.add(pattern.feature);
+            }
+        }
+        return [...features];
+    }
+
+    /**
+     * Returns { ranked: [{ id, probability }], known, features } where ranked is
+     * sorted best first and probabilities sum to 1. Features the model has never
+     * seen are ignored; known is how many were used.
+     */
+    classify(text) {
+        const features = this.featurize(text);
+        const known = features.filter(feature => this.vocabulary.has(feature));
+        const vocabularySize = this.vocabulary.size || 1;
+
+        if (known.length === 0 || this.classes.size === 0) {
+            return { ranked: [], known: 0, features: features.length };
+        }
+
+        const scores = [];
+        for (const [id, model] of this.classes) {
+            let logLikelihood = 0;
+            for (const feature of known) {
+                const count = model.counts.get(feature) || 0;
+                logLikelihood += Math.log((count + this.smoothing) / (model.total + this.smoothing * vocabularySize));
+            }
+            scores.push({ id, score: this.sharpness * logLikelihood / (known.length + this.pseudoFeatures) });
+        }
+
+        // Softmax, shifted by the best score for numerical stability
+        const best = Math.max(...scores.map(entry => entry.score));
+        const weights = scores.map(entry => Math.exp(entry.score - best));
+        const sum = weights.reduce((total, weight) => total + weight, 0);
+
+        const ranked = scores
+            .map((entry, index) => ({ id: entry.id, probability: weights[index] / sum }))
+            .sort((a, b) => b.probability - a.probability);
+
+        return { ranked, known: known.length, features: features.length };
+    }
+}
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntentClassifier;
+}
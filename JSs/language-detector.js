@@ -0,0 +1,92 @@
+/**
+ * Language Detector - Guesses which locale a message is written in
+ * Scores the message's words against each locale's common words and tool
+ * keywords, plus a bonus for letters only that language uses (ñ, ç, ¿).
+ */
+
+const LanguageDetector = {
+    characterBonus: 0.5,
+
+    /**
+     * Build the word lists from loaded locale files ({ code, detect, tools, conversation, units }).
+     * A word several locales share ("de", "plus") counts for each of them, split evenly.
+     */
+    train: function(locales) {
+        const owners = new Map();
+        const characters = {};
+
+        for (const locale of locales) {
+            const detect = locale.detect || {};
+            const words = new Set((detect.words || []).map(word => word.toLowerCase()));
+            for (const tool of Object.values(locale.tools || {})) {
+                for (const keyword of tool.keywords || []) {
+                    this.words(keyword).forEach(word => words.add(word));
+                }
+            }
+            // Greetings, thanks and help words ("aide", "ayuda") are whole messages on their own
+            for (const phrases of Object.values(locale.conversation || {})) {
+                for (const phrase of phrases) {
+                    this.words(phrase).forEach(word => words.add(word));
+                }
+            }
+            const units = locale.units || {};
+            for (const phrase of [...(units.commands || []), ...Object.keys(units.names || {})]) {
+                this.words(phrase).forEach(word => words.add(word));
+            }
+
+            for (const word of words) {
+                if (!owners.has(word)) owners.set(word, new Set());
+                owners.get(word).add(locale.code);
+            }
+            characters[locale.code] = [...(detect.characters || '')];
+        }
+
+        return { owners, characters, codes: locales.map(locale => locale.code) };
+    },
+
+    words: function(text) {
+        // Quoted text is the payload ("capitalize \"hola\""), not the request
+        const unquoted = String(text).toLowerCase().replace(/"[^"\n]*"|“[^”\n]*”|«[^»\n]*»/g, ' ');
+        return unquoted.match(/\p{L}+(?:['’-]\p{L}+)*/gu) || [];
+    },
+
+    /**
+     * Returns { code, confidence, scores } for the best locale, or null when no
+     * word or letter points anywhere or two locales tie. confidence is the best
+     * locale's share of the total score, so 1 means nothing else matched at all.
+     */
+    detect: function(text, model) {
+        if (!model || model.codes.length === 0) return null;
+
+        const scores = Object.fromEntries(model.codes.map(code => [code, 0]));
+        for (const word of this.words(text)) {
+            const owners = model.owners.get(word);
+            if (!owners) continue;
+            for (const code of owners) {
+                scores[code] += 1 / owners.size;
+            }
+        }
+
+        const lower = String(text).toLowerCase();
+        for (const [code, characters] of Object.entries(model.characters)) {
+            if (characters.some(character => lower.includes(character))) {
+                scores[code] += this.characterBonus;
+            }
+        }
+
+        const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+        if (total === 0 || (ranked.length > 1 && ranked[1][1] === ranked[0][1])) return null;
+
+        return {
+            code: ranked[0][0],
+            confidence: ranked[0][1] / total,
+            scores: scores
+        };
+    }
+};
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LanguageDetector;
+}
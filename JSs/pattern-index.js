@@ -0,0 +1,205 @@
+/**
+ * Pattern Index - Fast fuzzy lookup of learned patterns
+ * Words are indexed by their letter trigrams, so a search only scores patterns
+ * that share some spelling with the input instead of every stored pattern.
+ * Similarity compares words, ignoring their order and stop words, and lets a
+ * word with a small typo count as the same word. Numbers and operators are
+ * kept as tokens: a text with any must have the same ones in the same order,
+ * and then its words must keep their order too ("10 - 2" is not "2 - 10",
+ * "convert 5 miles to km" is not "convert 5 km to miles").
+ */
+
+class PatternIndex {
+    constructor(options = {}) {
+        this.stopWords = new Set((options.stopWords || []).map(word => this.normalize(word)));
+        // Two words match when at most this share of the longer one differs ("recieve" / "receive")
+        this.typoTolerance = options.typoTolerance || 0.25;
+        // Only the patterns sharing the most trigrams are scored in full
+        this.candidateLimit = options.candidateLimit || 50;
+        this.clear();
+    }
+
+    clear() {
+        this.entries = new Map();
+        this.byText = new Map();
+        this.trigrams = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Lowercase without accents, so "qué" and "que" are the same word
+    normalize(text) {
+        return String(text).normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().trim();
+    }
+
+    // Content words, numbers and operators; a text made only of stop words ("is it")
+    // keeps them all. Apostrophes split words, so "what's" is "what" + "s" and
+    // "l'heure" is "l" + "heure"; a hyphen between letters ("e-mail") is no operator
+    tokenize(text) {
+        const words = this.normalize(text)
+            .match(/[\p{L}\p{N}]+(?:[.,]\p{N}+)*|[+*\/^%=<>×÷]|-(?!\p{L})|(?<!\p{L})-/gu) || [];
+        const content = words.filter(word => !this.stopWords.has(word));
+        return content.length > 0 ? content : words;
+    }
+
+    // Numbers and operators, which must match exactly and in order
+    isSign(token) {
+        return /^[\p{N}+\-*\/^%=<>×÷]/u.test(token);
+    }
+
+    trigramsOf(word) {
+        const padded = ` ${word} `;
+        const grams = new Set();
+        for (let i = 0; i < padded.length - 2; i++) {
+            grams.add(padded.slice(i, i + 3));
+        }
+        return grams;
+    }
+
+    add(id, text) {
+        this.remove(id);
+
+        const key = this.normalize(text);
+        const tokens = this.tokenize(text);
+        const grams = new Set(tokens.flatMap(token => [...this.trigramsOf(token)]));
+        this.entries.set(id, { key, tokens, grams });
+
+        if (!this.byText.has(key)) this.byText.set(key, new Set());
+        this.byText.get(key).add(id);
+        for (const gram of grams) {
+            if (!this.trigrams.has(gram)) this.trigrams.set(gram, new Set());
+            this.trigrams.get(gram).add(id);
+        }
+    }
+
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.entries.delete(id);
+        this.byText.get(entry.key).delete(id);
+        if (this.byText.get(entry.key).size === 0) this.byText.delete(entry.key);
+        for (const gram of entry.grams) {
+            const ids = this.trigrams.get(gram);
+            ids.delete(id);
+            if (ids.size === 0) this.trigrams.delete(gram);
+        }
+    }
+
+    // Ids stored with exactly this text (case and accents aside)
+    exact(text) {
+        return [...(this.byText.get(this.normalize(text)) || [])];
+    }
+
+    // Ids sharing the most trigrams with text, best first
+    candidates(text, limit = this.candidateLimit) {
+        const shared = new Map();
+        for (const token of this.tokenize(text)) {
+            for (const gram of this.trigramsOf(token)) {
+                for (const id of this.trigrams.get(gram) || []) {
+                    shared.set(id, (shared.get(id) || 0) + 1);
+                }
+            }
+        }
+        return [...shared.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([id]) => id);
+    }
+
+    /**
+     * Patterns whose similarity to text is at least options.threshold (default 0),
+     * as [{ id, similarity }] best first, at most options.limit of them.
+     */
+    search(text, options = {}) {
+        const threshold = options.threshold || 0;
+        const tokens = this.tokenize(text);
+
+        return this.candidates(text)
+            .map(id => ({ id, similarity: this.similarity(tokens, this.entries.get(id).tokens) }))
+            .filter(result => result.similarity > 0 && result.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, options.limit || 10);
+    }
+
+    /**
+     * Dice coefficient over words: 2 × matched words / (words in a + words in b).
+     * Each word pairs with at most one word of the other text; a near-miss
+     * spelling counts in proportion to how close it is. Texts with numbers or
+     * operators score 0 unless those are identical and every pair is in order.
+     */
+    similarity(a, b) {
+        if (a.length === 0 && b.length === 0) return 1;
+        if (a.length === 0 || b.length === 0) return 0;
+
+        const signsA = a.filter(token => this.isSign(token));
+        const signsB = b.filter(token => this.isSign(token));
+        if (signsA.join(' ') !== signsB.join(' ')) return 0;
+
+        const used = new Set();
+        const pairs = [];
+        let matched = 0;
+        for (const word of a) {
+            let bestIndex = -1;
+            let bestScore = 0;
+            b.forEach((other, index) => {
+                if (used.has(index)) return;
+                const score = this.wordSimilarity(word, other);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestIndex = index;
+                }
+            });
+            if (bestIndex !== -1) {
+                matched += bestScore;
+                used.add(bestIndex);
+                pairs.push(bestIndex);
+            }
+        }
+
+        if (signsA.length > 0 && pairs.some((index, position) => position > 0 && index < pairs[position - 1])) {
+            return 0;
+        }
+        return (2 * matched) / (a.length + b.length);
+    }
+
+    wordSimilarity(a, b) {
+        if (a === b) return 1;
+        // Numbers and short words must match exactly: "abc" is not "abd", 21 is not 22
+        if (/\d/.test(a) || /\d/.test(b) || Math.max(a.length, b.length) < 4) return 0;
+
+        const longest = Math.max(a.length, b.length);
+        if (Math.abs(a.length - b.length) > longest * this.typoTolerance) return 0;
+        const score = 1 - this.editDistance(a, b) / longest;
+        return score >= 1 - this.typoTolerance ? score : 0;
+    }
+
+    // Edits between two words; swapping two neighbouring letters ("ie" / "ei") is one edit
+    editDistance(a, b) {
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+            }
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+}
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternIndex;
+}
@@ -0,0 +1,301 @@
+/**
+ * Response Template - Turns a tool result into wording described in its manifest
+ *
+ *   {path}                      value at a path into the result ("stats.mean", "items.length")
+ *   {path|fixed:2|join:, }      filters: fixed, join, minus, plus, upper, lower, preview, plural, json
+ *   {#if path}…{else if cond}…{else}…{/if}
+ *                               truthy test; also "!path" and "path == value" (==, !=, >, >=, <, <=)
+ *   {#each path join=', ' limit=50}…{else}…{/each}
+ *                               repeats for each item; inside, {.} is the item, {@index} its
+ *                               position, {@key} its key when looping over an object, and
+ *                               plain names look in the item before the outer result
+ *
+ * A brace that doesn't form a tag is left as text.
+ */
+
+const ResponseTemplate = {
+    tagPattern: /\{(#if|#each)\s+([^{}]*)\}|\{(else)(?:\s+if\s+([^{}]*))?\}|\{\/(if|each)\}|\{(\.|@index|@key|[\w@]+(?:\.[\w@]+)*)((?:\|\w+(?::[^|{}]*)?)*)\}/g,
+    cache: new Map(),
+
+    // A template is a string or a list of lines
+    toSource: function(template) {
+        return Array.isArray(template) ? template.join('\n') : String(template);
+    },
+
+    /**
+     * Parse into a tree of { type: 'text' | 'value' | 'if' | 'each' } nodes.
+     * Throws with a readable message for unbalanced blocks or bad conditions.
+     */
+    parse: function(template) {
+        const source = this.toSource(template);
+        if (this.cache.has(source)) return this.cache.get(source);
+
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        const current = () => stack[stack.length - 1];
+        const append = node => {
+            const block = current();
+            (block.inElse ? block.otherwise : block.children).push(node);
+        };
+
+        const pattern = new RegExp(this.tagPattern.source, 'g');
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(source))) {
+            if (match.index > last) {
+                append({ type: 'text', text: source.slice(last, match.index) });
+            }
+            last = pattern.lastIndex;
+
+            const [tag, open, argument, otherwise, elseIf, close, path, filters] = match;
+            if (open === '#if') {
+                const node = { type: 'if', condition: this.parseCondition(argument, tag), children: [], otherwise: [], inElse: false };
+                append(node);
+                stack.push(node);
+            } else if (open === '#each') {
+                const node = { type: 'each', ...this.parseEach(argument, tag), children: [], otherwise: [], inElse: false };
+                append(node);
+                stack.push(node);
+            } else if (otherwise) {
+                if (stack.length === 1 || current().inElse) {
+                    throw new Error('{else} without an open {#if} or {#each}');
+                }
+                if (elseIf !== undefined && current().type !== 'if') {
+                    throw new Error('{else if} only works inside {#if}');
+                }
+                current().inElse = true;
+                // "{else if x}" is an {#if x} inside the else branch, closed by the same {/if}
+                if (elseIf !== undefined) {
+                    const node = { type: 'if', condition: this.parseCondition(elseIf, tag), children: [], otherwise: [], inElse: false, chained: true };
+                    append(node);
+                    stack.push(node);
+                }
+            } else if (close) {
+                if (stack.length === 1 || current().type !== close) {
+                    throw new Error(`{/${close}} doesn't close an open {#${close}}`);
+                }
+                let node;
+                do {
+                    node = stack.pop();
+                    delete node.inElse;
+                } while (node.chained);
+            } else {
+                append({ type: 'value', path: path, filters: this.parseFilters(filters) });
+            }
+        }
+
+        if (last < source.length) {
+            append({ type: 'text', text: source.slice(last) });
+        }
+        if (stack.length > 1) {
+            throw new Error(`{#${current().type}} is never closed with {/${current().type}}`);
+        }
+
+        this.cache.set(source, root);
+        return root;
+    },
+
+    parseCondition: function(text, tag) {
+        const match = text.trim().match(/^(!?)([\w@.]+)(?:\s*(==|!=|>=|<=|>|<)\s*(.+))?$/);
+        if (!match) {
+            throw new Error(`Can't read the condition in ${tag}`);
+        }
+        return {
+            negate: match[1] === '!',
+            path: match[2],
+            operator: match[3] || null,
+            value: match[4] !== undefined ? this.parseLiteral(match[4].trim()) : undefined
+        };
+    },
+
+    parseEach: function(text, tag) {
+        const match = text.trim().match(/^([\w@.]+)((?:\s+\w+=(?:'[^']*'|\d+))*)$/);
+        if (!match) {
+            throw new Error(`Can't read ${tag}; expected {#each path join=', ' limit=10}`);
+        }
+
+        const options = { path: match[1], join: '', limit: null };
+        for (const [, name, quoted, number] of match[2].matchAll(/(\w+)=(?:'([^']*)'|(\d+))/g)) {
+            if (name === 'join') options.join = quoted !== undefined ? quoted : number;
+            else if (name === 'limit') options.limit = Number(number !== undefined ? number : quoted);
+            else throw new Error(`Unknown option "${name}" in ${tag}`);
+        }
+        return options;
+    },
+
+    parseFilters: function(text) {
+        if (!text) return [];
+        return text.slice(1).split('|').map(part => {
+            const colon = part.indexOf(':');
+            const name = colon === -1 ? part : part.slice(0, colon);
+            if (!this.filters[name]) {
+                throw new Error(`Unknown filter "${name}"`);
+            }
+            return { name: name, argument: colon === -1 ? undefined : part.slice(colon + 1) };
+        });
+    },
+
+    parseLiteral: function(text) {
+        if (/^'.*'$/.test(text) || /^".*"$/.test(text)) return text.slice(1, -1);
+        if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (text === 'null') return null;
+        return text;
+    },
+
+    /**
+     * Fill a template with data. options.formatNumber formats plain numbers
+     * (the engine passes MathTools.formatResult when it is loaded) and
+     * options.localizeNumber gives "fixed" output the locale's separators.
+     */
+    render: function(template, data, options = {}) {
+        const tree = this.parse(template);
+        const context = {
+            formatNumber: options.formatNumber || (value => String(value)),
+            localizeNumber: options.localizeNumber || (text => text)
+        };
+        // Block tags can sit on their own lines; the blank lines they leave at the ends are dropped
+        return this.renderNodes(tree.children, [{ item: data }], context).replace(/^\n+|\n+$/g, '');
+    },
+
+    renderNodes: function(nodes, scopes, context) {
+        return nodes.map(node => this.renderNode(node, scopes, context)).join('');
+    },
+
+    renderNode: function(node, scopes, context) {
+        switch (node.type) {
+            case 'text':
+                return node.text;
+
+            case 'value': {
+                let value = this.lookup(node.path, scopes);
+                for (const filter of node.filters) {
+                    value = this.filters[filter.name].call(this, value, filter.argument, context);
+                }
+                return this.stringify(value, context);
+            }
+
+            case 'if':
+                return this.test(node.condition, scopes)
+                    ? this.renderNodes(node.children, scopes, context)
+                    : this.renderNodes(node.otherwise, scopes, context);
+
+            case 'each': {
+                const collection = this.lookup(node.path, scopes);
+                let entries = [];
+                if (Array.isArray(collection)) {
+                    entries = collection.map((item, index) => ({ item, index, key: index }));
+                } else if (collection && typeof collection === 'object') {
+                    entries = Object.entries(collection).map(([key, item], index) => ({ item, index, key }));
+                }
+
+                if (entries.length === 0) {
+                    return this.renderNodes(node.otherwise, scopes, context);
+                }
+                if (node.limit !== null) {
+                    entries = entries.slice(0, node.limit);
+                }
+                return entries
+                    .map(entry => this.renderNodes(node.children, [entry, ...scopes], context))
+                    .join(node.join);
+            }
+
+            default:
+                return '';
+        }
+    },
+
+    // Innermost scope first; "." is the current item
+    lookup: function(path, scopes) {
+        if (path === '.') return scopes[0].item;
+        if (path === '@index') return scopes[0].index;
+        if (path === '@key') return scopes[0].key;
+
+        const keys = path.split('.');
+        for (const scope of scopes) {
+            const item = scope.item;
+            if (item !== null && typeof item === 'object' && keys[0] in Object(item)) {
+                return keys.reduce((current, key) => current == null ? undefined : current[key], item);
+            }
+        }
+        return undefined;
+    },
+
+    test: function(condition, scopes) {
+        const value = this.lookup(condition.path, scopes);
+        let result;
+
+        if (!condition.operator) {
+            result = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        } else {
+            const expected = condition.value;
+            const actual = typeof expected === 'number' && typeof value !== 'number' ? Number(value) : value;
+            switch (condition.operator) {
+                case '==': result = typeof expected === 'string' ? String(actual) === expected : actual === expected; break;
+                case '!=': result = typeof expected === 'string' ? String(actual) !== expected : actual !== expected; break;
+                case '>': result = actual > expected; break;
+                case '>=': result = actual >= expected; break;
+                case '<': result = actual < expected; break;
+                case '<=': result = actual <= expected; break;
+            }
+        }
+
+        return condition.negate ? !result : result;
+    },
+
+    stringify: function(value, context) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'number') return context.formatNumber(value);
+        if (typeof value === 'bigint') return value.toString();
+        if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+            return value.map(item => this.stringify(item, context)).join(', ');
+        }
+        return typeof value === 'object' ? this.toJson(value) : String(value);
+    },
+
+    // BigInt (programmer results) has no JSON form of its own
+    toJson: function(value, indent) {
+        return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, indent);
+    },
+
+    filters: {
+        fixed: function(value, digits, context) {
+            return typeof value === 'number' ? context.localizeNumber(value.toFixed(Number(digits) || 0)) : value;
+        },
+        join: function(value, separator = ', ') {
+            return Array.isArray(value) ? value.join(separator) : value;
+        },
+        minus: function(value, amount) {
+            return Number(value) - Number(amount);
+        },
+        plus: function(value, amount) {
+            return Number(value) + Number(amount);
+        },
+        upper: function(value) {
+            return value == null ? value : String(value).toUpperCase();
+        },
+        lower: function(value) {
+            return value == null ? value : String(value).toLowerCase();
+        },
+        // Single line, cut to n characters
+        preview: function(value, length) {
+            const text = value == null ? '' : String(value).replace(/\s+/g, ' ').trim();
+            const max = Number(length) || 60;
+            return text.length > max ? text.slice(0, max) + '…' : text;
+        },
+        // {count} {count|plural:value} -> "1 value", "3 values"; "plural:match,matches" for irregulars
+        plural: function(value, words = '') {
+            const [singular, plural] = words.split(',');
+            return Number(value) === 1 ? singular : (plural || singular + 's');
+        },
+        json: function(value) {
+            return this.toJson(value, 2);
+        }
+    }
+};
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseTemplate;
+}
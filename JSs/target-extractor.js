@@ -0,0 +1,215 @@
+/**
+ * Target Extractor - Finds the text a command should operate on
+ * Understands code fences, quoted strings, "command: text" and trailing text
+ */
+
+const TargetExtractor = {
+    /**
+     * Words around the command that are not part of the text. Polite phrases go
+     * anywhere at the edges and verbs only at the start; nouns and links only
+     * next to a command word, so the text keeps its own "to" and "on"
+     * ("capitalize each word of to be or not to be", "capitalize the word on").
+     */
+    fillerPhrases: {
+        polite: ['please', 'now', 'also', 'can you', 'could you', 'would you', 'i want to', 'i need to', 'help me', 'for me'],
+        verb: ['make', 'turn', 'change', 'put'],
+        noun: [
+            'the following text', 'the following', 'following', 'the text', 'the string', 'the sentence',
+            'this text', 'this string', 'this sentence', 'text', 'string', 'version',
+            'the words', 'the characters', 'the letters', 'the lines', 'words', 'characters', 'letters', 'lines'
+        ],
+        link: ['to', 'in', 'into', 'of', 'on']
+    },
+
+    // Which kinds of phrase a filler may sit next to, reading from the front
+    // ("uppercase version of ...") and from the back ("... in uppercase")
+    fillerNeighbours: {
+        front: {
+            polite: null,
+            verb: ['start', 'polite'],
+            noun: ['command', 'verb'],
+            link: ['command', 'verb', 'noun']
+        },
+        back: {
+            polite: null,
+            verb: [],
+            noun: ['command'],
+            link: ['command', 'noun']
+        }
+    },
+
+    quotePairs: [
+        ['"', '"'],
+        ['“', '”'],
+        ["'", "'"],
+        ['‘', '’'],
+        ['`', '`']
+    ],
+
+    /**
+     * Returns { text, start, end, source } where start/end index into the
+     * original input and source is one of: code, quoted, colon, trailing, whole.
+     * Pass quotes: false for source code, where quotes belong to the text itself.
+     */
+    extract: function(input, options = {}) {
+        if (typeof input !== 'string') {
+            input = String(input);
+        }
+
+        const commandWords = options.commandWords || [];
+        const masked = this.maskParameters(input, options.paramNames || []);
+
+        return this.fromCodeFence(masked)
+            || (options.quotes !== false && this.fromQuotes(masked))
+            || this.fromColon(masked, commandWords)
+            || this.fromTrailing(masked, commandWords)
+            || this.span(masked, 0, masked.length, 'whole');
+    },
+
+    // Blank out explicit "name: value" settings so they are never taken as text
+    maskParameters: function(input, paramNames) {
+        let masked = input;
+        for (const name of paramNames) {
+            const pattern = new RegExp(`\\b${this.escape(name)}\\s*[:=]\\s*("[^"]*"|'[^']*'|[^\\s,;]+)`, 'gi');
+            masked = masked.replace(pattern, match => ' '.repeat(match.length));
+        }
+        return masked;
+    },
+
+    // The word after the opening ``` is a language tag only when a newline follows
+    // it; "```const x = 1;```" is all code
+    fromCodeFence: function(input) {
+        const match = input.match(/```(?:[^\n`]*\n)?([\s\S]*?)\n?```/);
+        if (!match) return null;
+
+        const start = match.index + match[0].indexOf(match[1]);
+        return this.span(input, start, start + match[1].length, 'code', false);
+    },
+
+    fromQuotes: function(input) {
+        let best = null;
+
+        for (const [open, close] of this.quotePairs) {
+            const pattern = new RegExp(
+                `(^|[\\s:(\\[])${this.escape(open)}([\\s\\S]+?)${this.escape(close)}(?=[\\s.,!?;:)\\]]|$)`
+            );
+            const match = input.match(pattern);
+            if (match && (!best || match.index < best.index)) {
+                best = match;
+            }
+        }
+
+        if (!best) return null;
+
+        const start = best.index + best[1].length + 1;
+        return this.span(input, start, start + best[2].length, 'quoted', false);
+    },
+
+    fromColon: function(input, commandWords) {
+        const colon = input.match(/^([^:\n]{1,60}):[ \t]*\n?/);
+        if (colon && colon[1].trim()) {
+            const result = this.span(input, colon[0].length, input.length, 'colon');
+            if (result.text) return result;
+        }
+
+        // A first line made only of command words introduces the text below it
+        const firstLine = input.match(/^([^\n]{1,60})\n/);
+        if (firstLine) {
+            const command = this.fromTrailing(firstLine[1], commandWords);
+            if (command && !command.text) {
+                return this.span(input, firstLine[0].length, input.length, 'colon');
+            }
+        }
+
+        return null;
+    },
+
+    fromTrailing: function(input, commandWords) {
+        const kinds = new Map();
+        for (const [kind, phrases] of Object.entries(this.fillerPhrases)) {
+            phrases.forEach(phrase => kinds.set(phrase, kind));
+        }
+        commandWords.forEach(word => kinds.set(word.toLowerCase(), 'command'));
+        const phrases = [...kinds.keys()].sort((a, b) => b.length - a.length);
+        const allowed = (side, phrase, neighbour) => {
+            const kind = kinds.get(phrase);
+            const neighbours = kind === 'command' ? null : this.fillerNeighbours[side][kind];
+            return !neighbours || neighbours.includes(neighbour);
+        };
+        const lowerInput = input.toLowerCase();
+
+        let start = 0;
+        let end = input.length;
+        let strippedCommand = false;
+
+        // Strip command and filler words from the front...
+        let previous = 'start';
+        let stripped = true;
+        while (stripped) {
+            stripped = false;
+            const rest = lowerInput.slice(start, end);
+            const lead = rest.match(/^[\s,;:.!?-]*/)[0].length;
+            for (const phrase of phrases) {
+                if (rest.startsWith(phrase, lead) && this.isBoundary(rest, lead + phrase.length)
+                    && allowed('front', phrase, previous)) {
+                    strippedCommand = strippedCommand || kinds.get(phrase) === 'command';
+                    previous = kinds.get(phrase);
+                    start += lead + phrase.length;
+                    stripped = true;
+                    break;
+                }
+            }
+        }
+
+        // ...and from the back ("make hello world uppercase")
+        let next = 'end';
+        stripped = true;
+        while (stripped) {
+            stripped = false;
+            const rest = lowerInput.slice(start, end).replace(/[\s,;:.!?]*$/, '');
+            for (const phrase of phrases) {
+                const at = rest.length - phrase.length;
+                if (at > 0 && rest.endsWith(phrase) && this.isBoundary(rest, at, true)
+                    && allowed('back', phrase, next)) {
+                    strippedCommand = strippedCommand || kinds.get(phrase) === 'command';
+                    next = kinds.get(phrase);
+                    end = start + at;
+                    stripped = true;
+                    break;
+                }
+            }
+        }
+
+        if (!strippedCommand) return null;
+        return this.span(input, start, end, 'trailing');
+    },
+
+    // True when the character at index (or before it, looking backwards) ends a word
+    isBoundary: function(text, index, backwards = false) {
+        const char = backwards ? text.charAt(index - 1) : text.charAt(index);
+        return char === '' || !/\w/.test(char);
+    },
+
+    span: function(input, start, end, source, trim = true) {
+        if (trim) {
+            while (start < end && /\s/.test(input.charAt(start))) start++;
+            while (end > start && /\s/.test(input.charAt(end - 1))) end--;
+        }
+
+        return {
+            text: input.slice(start, end),
+            start: start,
+            end: end,
+            source: source
+        };
+    },
+
+    escape: function(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+};
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TargetExtractor;
+}
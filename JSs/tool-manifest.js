@@ -0,0 +1,228 @@
+/**
+ * Tool Manifest - Schema checks for tool definitions in tools-config.json
+ * and for tools added at runtime with aiEngine.registerTool()
+ */
+
+const ToolManifest = {
+    paramTypes: ['enum', 'number', 'boolean', 'string'],
+    inputKinds: ['text', 'code'],
+    scopes: ['conversation'],
+    responseLengths: ['short', 'medium', 'long'],
+    tones: ['friendly', 'concise', 'formal', 'playful'],
+
+    /**
+     * Returns a list of readable problems; an empty list means the manifest is valid.
+     * Pass hasImplementation: true when the code is supplied directly, so no
+     * scriptPath is needed, and needsFunction: false when it is a bare function.
+     */
+    validate: function(manifest, options = {}) {
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            return ['Manifest must be an object'];
+        }
+
+        const errors = [];
+        const isString = value => typeof value === 'string' && value.trim().length > 0;
+        const isStringList = value => Array.isArray(value) && value.every(isString);
+
+        if (!isString(manifest.id) || !/^[a-z][a-z0-9_]*$/.test(manifest.id)) {
+            errors.push('"id" must be lowercase letters, digits and underscores, starting with a letter');
+        }
+        if (!isString(manifest.name)) {
+            errors.push('"name" is required');
+        }
+        if (!isString(manifest.version) || !/^\d+\.\d+\.\d+(?:[-+][\w.-]+)?$/.test(manifest.version)) {
+            errors.push('"version" must be a semantic version like "1.0.0"');
+        }
+        if (options.needsFunction !== false && !isString(manifest.function)) {
+            errors.push('"function" must name the function to call');
+        }
+        if (!options.hasImplementation && (!isString(manifest.scriptPath) || !/\.js$/.test(manifest.scriptPath))) {
+            errors.push('"scriptPath" must point to a .js file');
+        }
+        if (manifest.module !== undefined && (!isString(manifest.module) || !/^[A-Za-z_$][\w$]*$/.test(manifest.module))) {
+            errors.push('"module" must be a global variable name');
+        }
+
+        if (!isStringList(manifest.keywords) || manifest.keywords.length === 0) {
+            errors.push('"keywords" must be a non-empty list of strings');
+        }
+        if (manifest.examples !== undefined && !isStringList(manifest.examples)) {
+            errors.push('"examples" must be a list of strings');
+        }
+        if (manifest.patterns !== undefined) {
+            if (!isStringList(manifest.patterns)) {
+                errors.push('"patterns" must be a list of regular expressions');
+            } else {
+                manifest.patterns.forEach((pattern, index) => {
+                    const problem = this.checkRegExp(pattern);
+                    if (problem) errors.push(`"patterns[${index}]" ${problem}`);
+                });
+            }
+        }
+
+        for (const flag of ['enabled', 'truncate']) {
+            if (manifest[flag] !== undefined && typeof manifest[flag] !== 'boolean') {
+                errors.push(`"${flag}" must be true or false`);
+            }
+        }
+        if (manifest.input !== undefined && !this.inputKinds.includes(manifest.input)) {
+            errors.push(`"input" must be one of: ${this.inputKinds.join(', ')}`);
+        }
+        if (manifest.scope !== undefined && !this.scopes.includes(manifest.scope)) {
+            errors.push(`"scope" must be one of: ${this.scopes.join(', ')}`);
+        }
+
+        if (manifest.timeout !== undefined && (typeof manifest.timeout !== 'number' || !(manifest.timeout > 0))) {
+            errors.push('"timeout" must be a positive number of milliseconds');
+        }
+
+        if (manifest.response !== undefined) {
+            errors.push(...this.validateResponse(manifest.response));
+        }
+
+        if (manifest.params !== undefined) {
+            if (!Array.isArray(manifest.params)) {
+                errors.push('"params" must be a list');
+            } else {
+                const seen = new Set();
+                manifest.params.forEach((param, index) => {
+                    const label = param && isString(param.name) ? `params "${param.name}"` : `params[${index}]`;
+                    if (param && seen.has(param.name)) {
+                        errors.push(`${label} is declared twice`);
+                    }
+                    seen.add(param && param.name);
+                    errors.push(...this.validateParam(param).map(problem => `${label}: ${problem}`));
+                });
+            }
+        }
+
+        return errors;
+    },
+
+    // One template, or variants keyed "default", a tone, a length or "tone.length"
+    validateResponse: function(response) {
+        if (typeof response === 'string' || Array.isArray(response)) {
+            const problem = this.checkTemplate(response);
+            return problem ? [`"response" ${problem}`] : [];
+        }
+        if (!response || typeof response !== 'object' || Object.keys(response).length === 0) {
+            return ['"response" must be a template, e.g. "Result: {result}", or templates keyed by tone and length'];
+        }
+
+        const variants = new Set(['default', ...this.responseLengths, ...this.tones]);
+        for (const tone of this.tones) {
+            for (const length of this.responseLengths) {
+                variants.add(`${tone}.${length}`);
+            }
+        }
+
+        const errors = [];
+        for (const [key, template] of Object.entries(response)) {
+            if (!variants.has(key)) {
+                errors.push(`"response.${key}" must be "default", a tone (${this.tones.join(', ')}), a length (${this.responseLengths.join(', ')}) or "tone.length"`);
+                continue;
+            }
+            const problem = this.checkTemplate(template);
+            if (problem) errors.push(`"response.${key}" ${problem}`);
+        }
+        return errors;
+    },
+
+    checkTemplate: function(template) {
+        const isLines = Array.isArray(template) && template.every(line => typeof line === 'string');
+        if (!(typeof template === 'string' && template.trim()) && !(isLines && template.length > 0)) {
+            return 'must be a template string or a list of lines';
+        }
+        if (typeof ResponseTemplate === 'undefined') {
+            return null;
+        }
+        try {
+            ResponseTemplate.parse(template);
+            return null;
+        } catch (error) {
+            return `is not a valid template (${error.message})`;
+        }
+    },
+
+    validateParam: function(param) {
+        if (!param || typeof param !== 'object') {
+            return ['must be an object'];
+        }
+
+        const errors = [];
+        if (typeof param.name !== 'string' || !/^[A-Za-z_][\w]*$/.test(param.name)) {
+            errors.push('"name" must be a word');
+        }
+        if (!this.paramTypes.includes(param.type)) {
+            errors.push(`"type" must be one of: ${this.paramTypes.join(', ')}`);
+            return errors;
+        }
+
+        if (param.type === 'enum' && (!Array.isArray(param.values) || param.values.length === 0)) {
+            errors.push('enum parameters need a non-empty "values" list');
+        }
+        if (param.required !== undefined && typeof param.required !== 'boolean') {
+            errors.push('"required" must be true or false');
+        }
+        if (param.default !== undefined) {
+            const problem = this.checkValue(param, param.default);
+            if (problem) errors.push(`"default" ${problem}`);
+        }
+        for (const bound of ['min', 'max']) {
+            if (param[bound] !== undefined && typeof param[bound] !== 'number') {
+                errors.push(`"${bound}" must be a number`);
+            }
+        }
+        if (param.pattern !== undefined) {
+            const problem = typeof param.pattern === 'string' ? this.checkRegExp(param.pattern) : 'must be a string';
+            if (problem) errors.push(`"pattern" ${problem}`);
+        }
+
+        if (param.cues !== undefined) {
+            if (!param.cues || typeof param.cues !== 'object' || Array.isArray(param.cues)) {
+                errors.push('"cues" must map values to lists of phrases');
+            } else {
+                for (const [value, phrases] of Object.entries(param.cues)) {
+                    if (!Array.isArray(phrases) || !phrases.every(phrase => typeof phrase === 'string')) {
+                        errors.push(`"cues.${value}" must be a list of phrases`);
+                    }
+                    if (param.type === 'enum' && Array.isArray(param.values) && !param.values.includes(value)) {
+                        errors.push(`"cues.${value}" is not one of the values`);
+                    }
+                    if (param.type === 'boolean' && !['true', 'false'].includes(value)) {
+                        errors.push(`"cues.${value}" must be "true" or "false"`);
+                    }
+                }
+            }
+        }
+
+        return errors;
+    },
+
+    checkValue: function(param, value) {
+        switch (param.type) {
+            case 'enum':
+                return Array.isArray(param.values) && param.values.includes(value) ? null : 'is not one of the values';
+            case 'number':
+                return typeof value === 'number' ? null : 'must be a number';
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            default:
+                return typeof value === 'string' ? null : 'must be a string';
+        }
+    },
+
+    checkRegExp: function(source) {
+        try {
+            new RegExp(source, 'i');
+            return null;
+        } catch (error) {
+            return `is not a valid regular expression (${error.message})`;
+        }
+    }
+};
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToolManifest;
+}
@@ -0,0 +1,147 @@
+/**
+ * Tool Worker - Runs tool functions away from the page
+ * Workers have no DOM. Storage (IndexedDB, the Cache API, navigator.storage) and
+ * network (fetch, XHR, WebSocket, EventSource) are deleted below from the global
+ * and from every prototype it inherits from, so they can't be reached through
+ * WorkerGlobalScope.prototype either. Each registered tool gets a worker of its
+ * own without the bundled tool scripts, so it can't patch them or see other calls.
+ * Limits: dynamic import() can't be removed from script, so a registered tool can
+ * still load a module (and with it send a request) unless the server's
+ * Content-Security-Policy for this file forbids it.
+ */
+
+const hiddenGlobals = [
+    'indexedDB', 'caches', 'localStorage', 'sessionStorage', 'navigator', 'document',
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource',
+    'Worker', 'SharedWorker', 'BroadcastChannel'
+];
+
+for (const name of hiddenGlobals) {
+    try {
+        for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+            if (Object.prototype.hasOwnProperty.call(scope, name)) {
+                delete scope[name];
+            }
+        }
+        Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    } catch (error) {
+        console.warn('Tool worker could not hide', name, error);
+    }
+}
+
+const ToolWorker = {
+    loaded: false,
+
+    handle: async function(message) {
+        if (message.type === 'load') {
+            this.loadScripts(message.scripts || []);
+            return;
+        }
+        if (message.type !== 'run') return;
+
+        try {
+            const run = this.resolve(message.tool, message.source);
+            const value = run(message.input, message.params || {});
+            const result = this.isIterator(value) ? await this.stream(message.id, value) : await value;
+            this.reply({ type: 'done', id: message.id, result: result });
+        } catch (error) {
+            this.reply({ type: 'failed', id: message.id, error: error && error.message ? error.message : String(error) });
+        }
+    },
+
+    // Async generators report progress and partial output as they go
+    isIterator: function(value) {
+        return Boolean(value) && typeof value[Symbol.asyncIterator] === 'function';
+    },
+
+    // Each yielded value is sent as an update; the generator's return value is the result
+    stream: async function(id, iterator) {
+        while (true) {
+            const step = await iterator.next();
+            if (step.done) return step.value;
+            this.reply({ type: 'update', id: id, update: step.value });
+        }
+    },
+
+    // Tool scripts are imported once; after that tools can't pull in more code
+    loadScripts: function(scripts) {
+        if (this.loaded) return;
+        for (const script of scripts) {
+            try {
+                importScripts(script);
+            } catch (error) {
+                console.error('Tool worker failed to load', script, error);
+            }
+        }
+        this.loaded = true;
+        self.importScripts = () => {
+            throw new Error('Tools cannot load scripts');
+        };
+    },
+
+    reply: function(message) {
+        try {
+            self.postMessage(message);
+        } catch (error) {
+            // Functions, DOM nodes and the like can't cross back to the page
+            self.postMessage({
+                type: 'failed',
+                id: message.id,
+                error: `The tool returned something that can't be sent back (${error.message})`
+            });
+        }
+    },
+
+    // A registered tool arrives as source; a config tool is a module from its script
+    resolve: function(tool, source) {
+        if (source) {
+            const implementation = this.compile(source);
+            if (typeof implementation === 'function') return implementation;
+            return this.pick(implementation, tool.function, tool.id);
+        }
+
+        const toolModule = this.lookup(tool.module);
+        if (!toolModule) {
+            throw new Error(`Tool module ${tool.module} not loaded`);
+        }
+        return this.pick(toolModule, tool.function, tool.module);
+    },
+
+    pick: function(toolModule, functionName, owner) {
+        if (typeof toolModule[functionName] !== 'function') {
+            throw new Error(`Function ${functionName} not found in ${owner}`);
+        }
+        return toolModule[functionName].bind(toolModule);
+    },
+
+    // Top-level const in a classic script is global but not a property of self
+    lookup: function(name) {
+        if (!/^[A-Za-z_$][\w$]*$/.test(name)) return undefined;
+        return self[name] || new Function(`return typeof ${name} === 'undefined' ? undefined : ${name};`)();
+    },
+
+    compile: function(source) {
+        if (source.kind === 'function') {
+            return this.compileFunction(source.code);
+        }
+
+        const implementation = {};
+        for (const [key, member] of Object.entries(source.members)) {
+            implementation[key] = member.code !== undefined ? this.compileFunction(member.code) : member.value;
+        }
+        return implementation;
+    },
+
+    // "function f() {}", "(x) => x" and "async x => x" are expressions; "f(x) {}" is method shorthand
+    compileFunction: function(code) {
+        if (/^(?:async\s+)?(?:function\b|\(|[\w$]+\s*=>)/.test(code)) {
+            return (0, eval)(`(${code})`);
+        }
+        const holder = (0, eval)(`({ ${code} })`);
+        return holder[Object.keys(holder)[0]];
+    }
+};
+
+self.onmessage = (event) => {
+    ToolWorker.handle(event.data);
+};
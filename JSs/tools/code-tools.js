@@ -0,0 +1,470 @@
+/**
+ * Code Tools - JavaScript tokenizer and source analysis
+ */
+
+const CodeTools = {
+    keywords: [
+        'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+        'default', 'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for',
+        'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'return', 'static',
+        'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while',
+        'with', 'yield'
+    ],
+
+    // Longest punctuators first so '>>>=' wins over '>'
+    punctuators: [
+        '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+        '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=',
+        '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+        '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|',
+        '^', '!', '~', '?', ':', '=', '.', '@', '#'
+    ],
+
+    analyzeCode: function(input, params = {}) {
+        const code = this.extractCode(input);
+
+        if (!code.trim()) {
+            return {
+                success: false,
+                error: "No code found in the message"
+            };
+        }
+
+        const { tokens, errors } = this.tokenize(code);
+        errors.push(...this.checkBrackets(tokens));
+        errors.sort((a, b) => a.line - b.line || a.column - b.column);
+
+        const declarations = this.findDeclarations(tokens);
+        const tokenSummary = {};
+        for (const token of tokens) {
+            tokenSummary[token.type] = (tokenSummary[token.type] || 0) + 1;
+        }
+
+        const result = {
+            success: true,
+            language: 'javascript',
+            functions: declarations.functions,
+            classes: declarations.classes,
+            variables: declarations.variables,
+            imports: declarations.imports,
+            errors: errors,
+            tokenCount: tokens.length,
+            tokenSummary: tokenSummary,
+            metrics: this.measure(code, tokens)
+        };
+
+        if (params.showTokens) {
+            result.tokens = tokens.filter(token => token.type !== 'comment');
+        }
+
+        return result;
+    },
+
+    extractCode: function(input) {
+        // Accept a target span from the engine or a raw message
+        if (typeof input === 'string') {
+            const fence = input.match(/```(?:[^\n`]*\n)?([\s\S]*?)\n?```/);
+            return fence ? fence[1] : input;
+        } else if (input && input.text) {
+            return input.text;
+        } else if (input && input.content) {
+            return input.content;
+        }
+        return String(input);
+    },
+
+    /**
+     * Splits source into tokens of type keyword, identifier, number, string,
+     * template, regex, comment or punctuator, each with its line and column
+     */
+    tokenize: function(code) {
+        const tokens = [];
+        const errors = [];
+        let pos = 0;
+        let line = 1;
+        let column = 1;
+
+        const advance = (count) => {
+            for (let i = 0; i < count; i++) {
+                if (code[pos] === '\n') {
+                    line++;
+                    column = 1;
+                } else {
+                    column++;
+                }
+                pos++;
+            }
+        };
+
+        const push = (type, length, start) => {
+            tokens.push({
+                type: type,
+                value: code.substr(pos, length),
+                line: start.line,
+                column: start.column
+            });
+            advance(length);
+        };
+
+        const lastSignificant = () => {
+            for (let i = tokens.length - 1; i >= 0; i--) {
+                if (tokens[i].type !== 'comment') return tokens[i];
+            }
+            return null;
+        };
+
+        // A '/' starts a regex unless it follows something that ends a value
+        const regexAllowed = () => {
+            const previous = lastSignificant();
+            if (!previous) return true;
+            if (previous.type === 'number' || previous.type === 'string' ||
+                previous.type === 'template' || previous.type === 'regex') return false;
+            if (previous.type === 'identifier') return false;
+            if (previous.type === 'keyword') {
+                return !['this', 'super', 'true', 'false', 'null'].includes(previous.value);
+            }
+            return ![')', ']', '}'].includes(previous.value);
+        };
+
+        while (pos < code.length) {
+            const char = code[pos];
+            const start = { line, column };
+
+            if (/\s/.test(char)) {
+                advance(1);
+                continue;
+            }
+
+            // Comments
+            if (code.startsWith('//', pos)) {
+                const end = code.indexOf('\n', pos);
+                push('comment', (end === -1 ? code.length : end) - pos, start);
+                continue;
+            }
+            if (code.startsWith('/*', pos)) {
+                const end = code.indexOf('*/', pos + 2);
+                if (end === -1) {
+                    errors.push({ message: 'Unterminated block comment', line: start.line, column: start.column });
+                    push('comment', code.length - pos, start);
+                } else {
+                    push('comment', end + 2 - pos, start);
+                }
+                continue;
+            }
+
+            // Strings
+            if (char === '"' || char === "'") {
+                let end = pos + 1;
+                while (end < code.length && code[end] !== char && code[end] !== '\n') {
+                    end += code[end] === '\\' ? 2 : 1;
+                }
+                if (end >= code.length || code[end] !== char) {
+                    errors.push({ message: `Unterminated string starting with ${char}`, line: start.line, column: start.column });
+                    push('string', Math.min(end, code.length) - pos, start);
+                } else {
+                    push('string', end + 1 - pos, start);
+                }
+                continue;
+            }
+
+            // Template literals (nested ${} expressions are kept inside the token)
+            if (char === '`') {
+                let end = pos + 1;
+                let depth = 0;
+                while (end < code.length && !(code[end] === '`' && depth === 0)) {
+                    if (code[end] === '\\') {
+                        end += 2;
+                        continue;
+                    }
+                    if (code.startsWith('${', end)) {
+                        depth++;
+                        end += 2;
+                        continue;
+                    }
+                    if (code[end] === '}' && depth > 0) depth--;
+                    end++;
+                }
+                if (end >= code.length) {
+                    errors.push({ message: 'Unterminated template literal', line: start.line, column: start.column });
+                    push('template', code.length - pos, start);
+                } else {
+                    push('template', end + 1 - pos, start);
+                }
+                continue;
+            }
+
+            // Numbers: decimal, exponent, hex, octal, binary, BigInt and separators
+            const number = code.slice(pos).match(/^(0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(\d[\d_]*\.?[\d_]*|\.\d[\d_]*)([eE][+-]?\d+)?)n?/);
+            if (number && (char !== '.' || /\d/.test(code[pos + 1]))) {
+                push('number', number[0].length, start);
+                continue;
+            }
+
+            // Identifiers and keywords
+            const word = code.slice(pos).match(/^[A-Za-z_$À-￿][\w$À-￿]*/);
+            if (word) {
+                push(this.keywords.includes(word[0]) ? 'keyword' : 'identifier', word[0].length, start);
+                continue;
+            }
+
+            // Regular expression literals
+            if (char === '/' && regexAllowed()) {
+                let end = pos + 1;
+                let inClass = false;
+                while (end < code.length && code[end] !== '\n') {
+                    if (code[end] === '\\') {
+                        end += 2;
+                        continue;
+                    }
+                    if (code[end] === '[') inClass = true;
+                    if (code[end] === ']') inClass = false;
+                    if (code[end] === '/' && !inClass) break;
+                    end++;
+                }
+                if (code[end] !== '/') {
+                    errors.push({ message: 'Unterminated regular expression', line: start.line, column: start.column });
+                    push('regex', end - pos, start);
+                } else {
+                    const flags = code.slice(end + 1).match(/^[a-z]*/)[0];
+                    push('regex', end + 1 + flags.length - pos, start);
+                }
+                continue;
+            }
+
+            const punctuator = this.punctuators.find(p => code.startsWith(p, pos));
+            if (punctuator) {
+                push('punctuator', punctuator.length, start);
+                continue;
+            }
+
+            errors.push({ message: `Unexpected character '${char}'`, line: start.line, column: start.column });
+            advance(1);
+        }
+
+        return { tokens, errors };
+    },
+
+    checkBrackets: function(tokens) {
+        const pairs = { ')': '(', ']': '[', '}': '{' };
+        const stack = [];
+        const errors = [];
+
+        for (const token of tokens) {
+            if (token.type !== 'punctuator') continue;
+
+            if ('([{'.includes(token.value)) {
+                stack.push(token);
+            } else if (pairs[token.value]) {
+                const open = stack[stack.length - 1];
+                if (open && open.value === pairs[token.value]) {
+                    stack.pop();
+                } else if (open) {
+                    errors.push({
+                        message: `Mismatched '${token.value}' (expected closing for '${open.value}' opened at line ${open.line}, column ${open.column})`,
+                        line: token.line,
+                        column: token.column
+                    });
+                    stack.pop();
+                } else {
+                    errors.push({ message: `Unmatched closing '${token.value}'`, line: token.line, column: token.column });
+                }
+            }
+        }
+
+        for (const open of stack) {
+            errors.push({ message: `Unclosed '${open.value}'`, line: open.line, column: open.column });
+        }
+
+        return errors;
+    },
+
+    findDeclarations: function(tokens) {
+        const code = tokens.filter(token => token.type !== 'comment');
+        const functions = [];
+        const classes = [];
+        const variables = [];
+        const imports = [];
+
+        const isName = (token) => token && token.type === 'identifier';
+
+        for (let i = 0; i < code.length; i++) {
+            const token = code[i];
+            const next = code[i + 1];
+
+            if (token.type !== 'keyword' && !(token.value === 'require' && isName(token))) continue;
+
+            switch (token.value) {
+                case 'function': {
+                    const name = next && next.value === '*' ? code[i + 2] : next;
+                    if (isName(name)) {
+                        functions.push({ name: name.value, kind: 'declaration', line: token.line });
+                    }
+                    break;
+                }
+
+                case 'class':
+                    if (isName(next)) {
+                        classes.push({ name: next.value, line: token.line });
+                    }
+                    break;
+
+                case 'var':
+                case 'let':
+                case 'const': {
+                    for (const name of this.readBindingNames(code, i + 1)) {
+                        const assigned = code[name.index + 1];
+                        const value = assigned && assigned.value === '=' ? this.readFunctionValue(code, name.index + 2) : null;
+                        if (value) {
+                            functions.push({ name: name.value, kind: value, line: name.line });
+                        }
+                        variables.push({ name: name.value, kind: token.value, line: name.line });
+                    }
+                    break;
+                }
+
+                case 'import': {
+                    // import x, { a as b } from 'mod' / import * as ns from 'mod' / import 'mod'
+                    if (next && next.value === '(') break;
+                    const names = [];
+                    let j = i + 1;
+                    while (j < code.length && code[j].type !== 'string' && code[j].value !== ';') {
+                        if (isName(code[j]) && code[j].value !== 'from' && code[j].value !== 'as' &&
+                            !(code[j + 1] && code[j + 1].value === 'as')) {
+                            names.push(code[j].value);
+                        }
+                        j++;
+                    }
+                    if (code[j] && code[j].type === 'string') {
+                        imports.push({ source: code[j].value.slice(1, -1), names: names, line: token.line });
+                    }
+                    break;
+                }
+
+                case 'require': {
+                    // const x = require('mod')
+                    const source = code[i + 2];
+                    if (next && next.value === '(' && source && source.type === 'string') {
+                        const binding = variables.filter(v => v.line === token.line).map(v => v.name);
+                        imports.push({ source: source.value.slice(1, -1), names: binding, line: token.line });
+                    }
+                    break;
+                }
+            }
+        }
+
+        return { functions, classes, variables, imports };
+    },
+
+    // Names bound by a declaration, including simple { a, b } / [a, b] patterns
+    readBindingNames: function(code, index) {
+        const names = [];
+        let i = index;
+
+        while (i < code.length) {
+            const token = code[i];
+
+            if (token.type === 'identifier') {
+                names.push({ value: token.value, line: token.line, index: i });
+                i++;
+            } else if (token.value === '{' || token.value === '[') {
+                const end = this.findClose(code, i);
+                let inDefault = false;
+                for (let j = i + 1; j < end; j++) {
+                    if (code[j].value === ',') inDefault = false;
+                    else if (code[j].value === '=') inDefault = true;
+                    else if (!inDefault && code[j].type === 'identifier' &&
+                        !(code[j + 1] && code[j + 1].value === ':')) {
+                        names.push({ value: code[j].value, line: code[j].line, index: j });
+                    }
+                }
+                i = end + 1;
+            } else {
+                break;
+            }
+
+            if (code[i] && code[i].value === '=') {
+                i = this.skipExpression(code, i + 1);
+            }
+            if (!code[i] || code[i].value !== ',') break;
+            i++;
+        }
+
+        return names;
+    },
+
+    skipExpression: function(code, index) {
+        let depth = 0;
+        for (let i = index; i < code.length; i++) {
+            const value = code[i].type === 'punctuator' ? code[i].value : null;
+            if (value && '([{'.includes(value)) depth++;
+            else if (value && ')]}'.includes(value)) {
+                if (depth === 0) return i;
+                depth--;
+            } else if (depth === 0 && (value === ',' || value === ';')) {
+                return i;
+            }
+        }
+        return code.length;
+    },
+
+    // Index of the bracket closing the one at index
+    findClose: function(code, index) {
+        let depth = 0;
+        for (let i = index; i < code.length; i++) {
+            if (code[i].type !== 'punctuator') continue;
+            if ('([{'.includes(code[i].value)) depth++;
+            else if (')]}'.includes(code[i].value) && --depth === 0) return i;
+        }
+        return code.length;
+    },
+
+    readFunctionValue: function(code, index) {
+        const token = code[index];
+        if (!token) return null;
+        if (token.value === 'async') return this.readFunctionValue(code, index + 1);
+        if (token.value === 'function') return 'expression';
+        if (token.type === 'identifier' && code[index + 1] && code[index + 1].value === '=>') return 'arrow';
+        if (token.value === '(') {
+            const close = this.findClose(code, index);
+            if (code[close + 1] && code[close + 1].value === '=>') return 'arrow';
+        }
+        return null;
+    },
+
+    measure: function(code, tokens) {
+        const lines = code.split('\n');
+        const codeLines = new Set();
+        const commentLines = new Set();
+
+        for (const token of tokens) {
+            const span = token.value.split('\n').length;
+            const target = token.type === 'comment' ? commentLines : codeLines;
+            for (let l = token.line; l < token.line + span; l++) {
+                target.add(l);
+            }
+        }
+
+        let depth = 0;
+        let maxDepth = 0;
+        for (const token of tokens) {
+            if (token.type !== 'punctuator') continue;
+            if (token.value === '{') maxDepth = Math.max(maxDepth, ++depth);
+            if (token.value === '}') depth = Math.max(depth - 1, 0);
+        }
+
+        const onlyComments = [...commentLines].filter(l => !codeLines.has(l)).length;
+
+        return {
+            totalLines: lines.length,
+            codeLines: codeLines.size,
+            commentLines: onlyComments,
+            blankLines: lines.filter(l => !l.trim()).length,
+            maxNestingDepth: maxDepth
+        };
+    }
+};
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeTools;
+}
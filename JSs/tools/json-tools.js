@@ -0,0 +1,362 @@
+/**
+ * JSON Tools - Validate, pretty-print, minify, sort and query JSON
+ */
+
+const JsonTools = {
+    formatJson: function(input, params = {}) {
+        const text = this.extractJson(input);
+        const action = params.action || 'format'; // format, minify, sort, validate
+        const indent = params.indent !== undefined ? params.indent : 2;
+
+        if (!text.trim()) {
+            return {
+                success: false,
+                error: "No JSON found in the message"
+            };
+        }
+
+        let value;
+        try {
+            value = this.parse(text);
+        } catch (error) {
+            return this.invalidResult(error, action);
+        }
+
+        let result;
+        switch(action) {
+            case 'minify':
+                result = JSON.stringify(value);
+                break;
+            case 'sort':
+                result = JSON.stringify(this.sortKeys(value), null, indent);
+                break;
+            case 'validate':
+            case 'format':
+            default:
+                result = JSON.stringify(value, null, indent);
+                break;
+        }
+
+        return {
+            success: true,
+            valid: true,
+            action: action,
+            result: result,
+            type: Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value,
+            size: text.length
+        };
+    },
+
+    queryJson: function(input, params = {}) {
+        let path = (params.path || '$').trim();
+        const raw = input && typeof input === 'object' ? (input.text || input.content || '') : String(input);
+        // The path itself contains brackets, so take it out before looking for the JSON
+        const text = this.extractJson(this.removePath(raw, path));
+        if (!path.startsWith('$')) {
+            path = '$' + (/^[[.]/.test(path) ? '' : '.') + path;
+        }
+
+        let value;
+        try {
+            value = this.parse(text);
+        } catch (error) {
+            return this.invalidResult(error, 'query');
+        }
+
+        let matches;
+        try {
+            matches = this.query(value, path);
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+
+        return {
+            success: true,
+            valid: true,
+            action: 'query',
+            path: path,
+            count: matches.length,
+            matches: matches,
+            result: JSON.stringify(matches.length === 1 ? matches[0] : matches, null, 2)
+        };
+    },
+
+    // Blank out the path where it is written in the command. Double-quoted strings
+    // are skipped whole, so a key of the same name inside the JSON is never touched,
+    // and a path given in a reply that the message never mentions removes nothing.
+    removePath: function(text, path) {
+        const escaped = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`"(?:[^"\\\\\\n]|\\\\.)*"|(?<![\\w$.\\]'-])${escaped}(?![\\w'-])`, 'g');
+        let removed = false;
+        return text.replace(pattern, match => {
+            if (removed || match.startsWith('"')) return match;
+            removed = true;
+            return ' '.repeat(match.length);
+        });
+    },
+
+    invalidResult: function(error, action) {
+        return {
+            success: true,
+            valid: false,
+            action: action,
+            error: error.message,
+            line: error.line,
+            column: error.column,
+            context: error.context
+        };
+    },
+
+    extractJson: function(input) {
+        // Accept a target span from the engine or a raw message
+        let text = input;
+        if (input && typeof input === 'object') {
+            text = input.text || input.content || '';
+        }
+        text = String(text);
+
+        // A language tag only counts when a newline follows it, as in "```json\n"
+        const fence = text.match(/```(?:[^\n`]*\n)?([\s\S]*?)\n?```/);
+        if (fence) {
+            return fence[1];
+        }
+
+        const start = text.search(/[{[]/);
+        if (start === -1) {
+            return text;
+        }
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+        return end > start ? text.slice(start, end + 1) : text.slice(start);
+    },
+
+    // Deeper input would overflow the call stack of the recursive parser
+    maxDepth: 500,
+
+    // Strict JSON parser that reports where parsing failed
+    parse: function(text) {
+        let pos = 0;
+        let depth = 0;
+
+        const fail = (message, at = pos) => {
+            const before = text.slice(0, at);
+            const line = before.split('\n').length;
+            const column = at - before.lastIndexOf('\n');
+            const lineText = text.split('\n')[line - 1] || '';
+            const error = new Error(`${message} at line ${line}, column ${column}`);
+            error.line = line;
+            error.column = column;
+            error.context = lineText + '\n' + ' '.repeat(Math.max(column - 1, 0)) + '^';
+            throw error;
+        };
+
+        const describe = (char) => char === undefined ? 'end of input' : `'${char}'`;
+
+        const skipWhitespace = () => {
+            while (pos < text.length && ' \t\n\r'.includes(text[pos])) pos++;
+        };
+
+        const parseValue = () => {
+            skipWhitespace();
+            const char = text[pos];
+
+            if (char === '{' || char === '[') {
+                if (depth >= this.maxDepth) fail(`Nesting is deeper than ${this.maxDepth} levels`);
+                depth++;
+                const value = char === '{' ? parseObject() : parseArray();
+                depth--;
+                return value;
+            }
+            if (char === '"') return parseString();
+            if (char === '-' || (char >= '0' && char <= '9')) return parseNumber();
+            if (text.startsWith('true', pos)) { pos += 4; return true; }
+            if (text.startsWith('false', pos)) { pos += 5; return false; }
+            if (text.startsWith('null', pos)) { pos += 4; return null; }
+
+            if (char === "'") fail('Strings must use double quotes');
+            return fail(`Unexpected ${describe(char)}`);
+        };
+
+        const parseObject = () => {
+            const object = {};
+            pos++;
+            skipWhitespace();
+            if (text[pos] === '}') { pos++; return object; }
+
+            while (true) {
+                skipWhitespace();
+                if (text[pos] === "'") fail('Property names must use double quotes');
+                if (text[pos] !== '"') {
+                    fail(text[pos] === '}' ? 'Trailing comma in object' : `Expected property name but found ${describe(text[pos])}`);
+                }
+                const key = parseString();
+                skipWhitespace();
+                if (text[pos] !== ':') fail(`Expected ':' after property name but found ${describe(text[pos])}`);
+                pos++;
+                // Plain assignment would treat "__proto__" as the prototype and drop it
+                Object.defineProperty(object, key, { value: parseValue(), enumerable: true, writable: true, configurable: true });
+                skipWhitespace();
+                if (text[pos] === ',') { pos++; continue; }
+                if (text[pos] === '}') { pos++; return object; }
+                fail(`Expected ',' or '}' but found ${describe(text[pos])}`);
+            }
+        };
+
+        const parseArray = () => {
+            const array = [];
+            pos++;
+            skipWhitespace();
+            if (text[pos] === ']') { pos++; return array; }
+
+            while (true) {
+                skipWhitespace();
+                if (text[pos] === ']') fail('Trailing comma in array');
+                array.push(parseValue());
+                skipWhitespace();
+                if (text[pos] === ',') { pos++; continue; }
+                if (text[pos] === ']') { pos++; return array; }
+                fail(`Expected ',' or ']' but found ${describe(text[pos])}`);
+            }
+        };
+
+        const parseString = () => {
+            const start = pos;
+            pos++;
+            let result = '';
+
+            while (pos < text.length) {
+                const char = text[pos];
+                if (char === '"') { pos++; return result; }
+                if (char === '\n') fail('Unterminated string', start);
+                if (char < ' ') {
+                    fail(`Control character U+${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')} must be escaped in a string`);
+                }
+                if (char === '\\') {
+                    const escape = text[pos + 1];
+                    const simple = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+                    if (escape in simple) {
+                        result += simple[escape];
+                        pos += 2;
+                    } else if (escape === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substr(pos + 2, 4))) {
+                        result += String.fromCharCode(parseInt(text.substr(pos + 2, 4), 16));
+                        pos += 6;
+                    } else {
+                        fail(`Invalid escape sequence '\\${escape || ''}'`);
+                    }
+                    continue;
+                }
+                result += char;
+                pos++;
+            }
+
+            return fail('Unterminated string', start);
+        };
+
+        const parseNumber = () => {
+            const match = text.slice(pos).match(/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/);
+            if (!match) fail(`Invalid number`);
+            pos += match[0].length;
+            return Number(match[0]);
+        };
+
+        const value = parseValue();
+        skipWhitespace();
+        if (pos < text.length) {
+            fail(`Unexpected ${describe(text[pos])} after the end of the JSON value`);
+        }
+        return value;
+    },
+
+    sortKeys: function(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.sortKeys(item));
+        }
+        if (value && typeof value === 'object') {
+            const sorted = {};
+            for (const key of Object.keys(value).sort()) {
+                Object.defineProperty(sorted, key, { value: this.sortKeys(value[key]), enumerable: true, writable: true, configurable: true });
+            }
+            return sorted;
+        }
+        return value;
+    },
+
+    // JSONPath subset: $, .key, ['key'], [n], [-n], [*], .*, ..key
+    query: function(root, path) {
+        const steps = this.parsePath(path);
+        let current = [root];
+
+        for (const step of steps) {
+            const next = [];
+            for (const node of current) {
+                if (step.recursive) {
+                    this.collectDescendants(node, step.key, next);
+                } else {
+                    this.selectChild(node, step.key, next);
+                }
+            }
+            current = next;
+        }
+
+        return current;
+    },
+
+    parsePath: function(path) {
+        const steps = [];
+        let pos = 1; // skip '$'
+
+        while (pos < path.length) {
+            const rest = path.slice(pos);
+            let match;
+
+            if ((match = rest.match(/^\.\.([\w$-]+|\*)/))) {
+                steps.push({ recursive: true, key: match[1] });
+            } else if ((match = rest.match(/^\.([\w$-]+|\*)/))) {
+                steps.push({ recursive: false, key: match[1] });
+            } else if ((match = rest.match(/^\[\s*(-?\d+)\s*\]/))) {
+                steps.push({ recursive: false, key: Number(match[1]) });
+            } else if ((match = rest.match(/^\[\s*(['"])(.*?)\1\s*\]/))) {
+                steps.push({ recursive: false, key: match[2] });
+            } else if ((match = rest.match(/^\[\s*\*\s*\]/))) {
+                steps.push({ recursive: false, key: '*' });
+            } else {
+                throw new Error(`Invalid path at '${rest}' (position ${pos + 1} of ${path})`);
+            }
+
+            pos += match[0].length;
+        }
+
+        return steps;
+    },
+
+    selectChild: function(node, key, out) {
+        if (node === null || typeof node !== 'object') return;
+
+        if (key === '*') {
+            out.push(...Object.values(node));
+        } else if (typeof key === 'number') {
+            if (Array.isArray(node)) {
+                const index = key < 0 ? node.length + key : key;
+                if (index >= 0 && index < node.length) out.push(node[index]);
+            }
+        } else if (Object.prototype.hasOwnProperty.call(node, key)) {
+            out.push(node[key]);
+        }
+    },
+
+    collectDescendants: function(node, key, out) {
+        if (node === null || typeof node !== 'object') return;
+
+        this.selectChild(node, key, out);
+        for (const child of Object.values(node)) {
+            this.collectDescendants(child, key, out);
+        }
+    }
+};
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonTools;
+}
@@ -3,183 +3,1350 @@
  */
 
 const MathTools = {
+    functions: {
+        sqrt: { arity: [1, 1], fn: Math.sqrt },
+        sin: { arity: [1, 1], fn: Math.sin },
+        cos: { arity: [1, 1], fn: Math.cos },
+        tan: { arity: [1, 1], fn: Math.tan },
+        log: { arity: [1, 2], fn: (x, base) => base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base) },
+        ln: { arity: [1, 1], fn: Math.log },
+        exp: { arity: [1, 1], fn: Math.exp },
+        abs: { arity: [1, 1], fn: Math.abs },
+        round: { arity: [1, 1], fn: Math.round },
+        floor: { arity: [1, 1], fn: Math.floor },
+        ceil: { arity: [1, 1], fn: Math.ceil },
+        min: { arity: [1, Infinity], fn: Math.min },
+        max: { arity: [1, Infinity], fn: Math.max },
+        // Parsed into the same node as "n!", so both evaluators check and compute it
+        factorial: { arity: [1, 1] }
+    },
+
+    constants: {
+        pi: Math.PI,
+        e: Math.E
+    },
+
+    // Separators per BCP 47 number format, see numberSeparators
+    separators: new Map(),
+
+    // params.locale comes from the engine's toolLocale(); this reads its numberFormat and math words
+    numberFormatOf: function(locale) {
+        return (locale && locale.numberFormat) || 'en-US';
+    },
+
     calculate: function(input, params = {}) {
+        const locale = params.locale || null;
+        const text = typeof input === 'string' ? input : String(input);
+        // Work on a copy; the caller stores the returned scope
+        const variables = { ...(params.variables || {}) };
+
+        const lines = text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !/^(#|\/\/)/.test(line));
+
+        // "exact" / "as a fraction" switches to BigInt fractions
+        const exact = params.exact === true;
+
+        if (lines.length > 1) {
+            return this.calculateWorksheet(lines, variables, exact, locale);
+        }
+
+        const line = this.evaluateLine(lines[0] || text, variables, exact, locale);
+        return { ...line, mode: exact ? 'exact' : 'decimal', variables: variables };
+    },
+
+    // Evaluate a multi-line worksheet top to bottom, one result per line
+    calculateWorksheet: function(lines, variables, exact = false, locale = null) {
+        const results = lines.map(line => this.evaluateLine(line, variables, exact, locale));
+        const succeeded = results.filter(line => line.success);
+
+        if (succeeded.length === 0) {
+            return {
+                success: false,
+                error: `Line 1: ${results[0].error}`,
+                lines: results,
+                variables: variables
+            };
+        }
+
+        const last = succeeded[succeeded.length - 1];
+        return {
+            success: true,
+            worksheet: true,
+            mode: exact ? 'exact' : 'decimal',
+            lines: results,
+            expression: last.expression,
+            result: last.result,
+            formatted: last.formatted,
+            variables: variables
+        };
+    },
+
+    evaluateLine: function(line, variables, exact = false, locale = null) {
         try {
+            const assignment = this.parseAssignment(line);
+
             // Extract mathematical expression from input
-            let expression = this.extractExpression(input);
-            
+            let expression = this.extractExpression(assignment ? assignment.value : line, Object.keys(variables), locale);
+
             if (!expression) {
                 return {
                     success: false,
+                    input: line,
                     error: "No mathematical expression found"
                 };
             }
 
             // Clean and validate expression
             expression = this.cleanExpression(expression);
-            
+
             // Perform calculation
-            const result = this.safeEval(expression);
-            
+            const value = exact ? this.safeEvalExact(expression, variables) : this.safeEval(expression, variables);
+            const result = exact ? this.fractionToNumber(value) : value;
+
+            // Variables always hold plain numbers
+            if (assignment) {
+                variables[assignment.name] = result;
+            }
+
+            const entry = {
+                success: true,
+                input: line,
+                expression: assignment ? `${assignment.name} = ${expression}` : expression,
+                result: result,
+                formatted: this.formatResult(value, this.numberFormatOf(locale)),
+                assigned: assignment ? assignment.name : null
+            };
+            if (exact) {
+                entry.exact = this.fractionToString(value);
+                entry.inexact = value.inexact;
+            }
+            return entry;
+        } catch (error) {
+            return {
+                success: false,
+                input: line,
+                error: error.message,
+                expression: error.expression || line,
+                position: error.position,
+                context: error.context
+            };
+        }
+    },
+
+    // "x = 12", "let rate = 0.2", "set total to x * 3"
+    parseAssignment: function(line) {
+        const match = line.match(/^\s*(?:let\s+)?([a-z_][a-z0-9_]*)\s*=(?!=)\s*(.+)$/i)
+            || line.match(/^\s*set\s+([a-z_][a-z0-9_]*)\s+(?:to|=)\s+(.+)$/i);
+
+        if (!match) {
+            return null;
+        }
+
+        const name = match[1].toLowerCase();
+        if (this.functions[name] || this.constants[name] !== undefined) {
+            throw new Error(`'${name}' is a built-in name and can't be assigned`);
+        }
+
+        return { name: name, value: match[2] };
+    },
+
+    listVariables: function(input, params = {}) {
+        const numberFormat = this.numberFormatOf(params.locale);
+        const variables = { ...(params.variables || {}) };
+        const action = params.action || 'list'; // list, clear
+        const name = params.name ? params.name.toLowerCase() : null;
+
+        if (action === 'clear') {
+            // "forget x" removes one variable, "clear variables" removes all
+            if (name && !['variables', 'variable', 'vars', 'all', 'everything'].includes(name)) {
+                if (!(name in variables)) {
+                    return {
+                        success: false,
+                        error: `There is no variable named '${name}'`
+                    };
+                }
+                delete variables[name];
+                return { success: true, action: 'clear', cleared: [name], variables: variables };
+            }
+
+            return { success: true, action: 'clear', cleared: Object.keys(variables).sort(), variables: {} };
+        }
+
+        return {
+            success: true,
+            action: 'list',
+            names: Object.keys(variables).sort(),
+            variables: variables,
+            formatted: Object.keys(variables).sort().map(key => `${key} = ${this.formatResult(variables[key], numberFormat)}`)
+        };
+    },
+
+    statistics: function(input, params = {}) {
+        const text = typeof input === 'string' ? input : String(input);
+
+        let numbers, column;
+        try {
+            ({ numbers, column } = this.extractNumbers(text, params.column));
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+
+        if (numbers.length === 0) {
+            return {
+                success: false,
+                error: column
+                    ? `Column "${column}" has no numeric values`
+                    : "No numbers found. Try: stats 4, 8, 15, 16, 23, 42"
+            };
+        }
+
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const count = numbers.length;
+        const sum = numbers.reduce((a, b) => a + b, 0);
+        const mean = this.average(numbers);
+        const squares = numbers.reduce((total, n) => total + (n - mean) ** 2, 0);
+        const variance = squares / count;
+        const sampleVariance = count > 1 ? squares / (count - 1) : 0;
+
+        const requested = this.requestedPercentiles(text);
+        const percentiles = {};
+        for (const p of requested.length > 0 ? requested : [25, 50, 75, 90]) {
+            percentiles[p] = this.percentile(sorted, p);
+        }
+
+        return {
+            success: true,
+            column: column,
+            count: count,
+            sum: sum,
+            mean: mean,
+            median: this.percentile(sorted, 50),
+            mode: this.mode(numbers),
+            min: sorted[0],
+            max: sorted[count - 1],
+            range: sorted[count - 1] - sorted[0],
+            variance: variance,
+            sampleVariance: sampleVariance,
+            stdDev: Math.sqrt(variance),
+            sampleStdDev: Math.sqrt(sampleVariance),
+            percentiles: percentiles
+        };
+    },
+
+    // "what percent is 30 of 120", "30 is what percent of 120", "20% of 50", "change from 50 to 75"
+    percentOf: function(input, params = {}) {
+        const numberFormat = this.numberFormatOf(params.locale);
+        const text = (typeof input === 'string' ? input : String(input)).toLowerCase().replace(/,(?=\d{3})/g, '');
+        const number = '(-?\\d*\\.?\\d+)';
+        let match;
+
+        if ((match = text.match(new RegExp(`${number}\\s*%\\s*of\\s*${number}`)))) {
+            const percent = Number(match[1]);
+            const total = Number(match[2]);
+            const result = total * percent / 100;
+            return { success: true, kind: 'of', percent, total, result, formatted: this.formatResult(result, numberFormat) };
+        }
+
+        if ((match = text.match(new RegExp(`(?:change|increase|decrease|difference)?\\s*from\\s*${number}\\s*to\\s*${number}`)))) {
+            const from = Number(match[1]);
+            const to = Number(match[2]);
+            if (from === 0) {
+                return { success: false, error: "Can't compute a percent change from 0" };
+            }
+            const result = this.percentage(to - from, Math.abs(from));
+            return { success: true, kind: 'change', from, to, result, formatted: this.formatResult(Math.abs(result), numberFormat) };
+        }
+
+        match = text.match(new RegExp(`percent(?:age)?\\s+(?:is\\s+)?${number}\\s+(?:of|out of|from)\\s+${number}`))
+            || text.match(new RegExp(`${number}\\s+(?:is\\s+)?(?:what\\s+)?(?:percent(?:age)?\\s+)?(?:of|out of)\\s+${number}`));
+        if (match) {
+            const value = Number(match[1]);
+            const total = Number(match[2]);
+            if (total === 0) {
+                return { success: false, error: "Can't take a percentage of 0" };
+            }
+            const result = this.percentage(value, total);
+            return { success: true, kind: 'ratio', value, total, result, formatted: this.formatResult(result, numberFormat) };
+        }
+
+        return {
+            success: false,
+            error: 'Try "what percent is 30 of 120", "20% of 50" or "percent change from 50 to 75"'
+        };
+    },
+
+    // Programmer mode: integer literals in any base, bitwise operators and fixed-width views
+    programmer: function(input, params = {}) {
+        const text = typeof input === 'string' ? input : String(input);
+        const width = params.width !== undefined ? Number(params.width) : null;
+
+        if (width !== null && !this.integerWidths.includes(width)) {
+            return {
+                success: false,
+                error: `Width must be one of ${this.integerWidths.join(', ')} bits`
+            };
+        }
+
+        const expression = this.extractProgrammerExpression(text);
+        if (!expression) {
+            return {
+                success: false,
+                error: 'No integer expression found. Try "0xFF & 0b1010" or "255 to hex"'
+            };
+        }
+
+        try {
+            const tokens = this.tokenizeProgrammer(expression);
+            const tree = this.parseProgrammer(tokens, expression);
+            const value = this.evaluateProgrammer(tree, expression);
+
+            // With a width the value wraps like a machine register; the bit pattern is what gets shown
+            const shown = width ? BigInt.asUintN(width, value) : value;
+            const bases = {
+                hex: this.formatInteger(shown, 16),
+                decimal: this.groupDigits(shown.toString()),
+                octal: this.formatInteger(shown, 8),
+                binary: this.formatInteger(shown, 2)
+            };
+
+            const widths = (width ? [width] : this.integerWidths).map(bits => {
+                const unsigned = BigInt.asUintN(bits, value);
+                return {
+                    bits: bits,
+                    unsigned: unsigned.toString(),
+                    signed: BigInt.asIntN(bits, value).toString(),
+                    hex: '0x' + unsigned.toString(16).toUpperCase().padStart(bits / 4, '0'),
+                    fits: value >= -(1n << BigInt(bits - 1)) && value < (1n << BigInt(bits))
+                };
+            });
+
+            const base = params.base || null;
             return {
                 success: true,
                 expression: expression,
-                result: result,
-                formatted: this.formatResult(result)
+                value: value.toString(),
+                base: base,
+                width: width,
+                formatted: base ? bases[base] : bases.decimal,
+                bases: bases,
+                widths: widths
             };
         } catch (error) {
             return {
                 success: false,
                 error: error.message,
-                expression: input
+                expression: error.expression || expression,
+                position: error.position,
+                context: error.context
             };
         }
     },
 
-    extractExpression: function(input) {
+    integerWidths: [8, 16, 32, 64],
+
+    programmerWords: {
+        and: '&',
+        or: '|',
+        xor: '^',
+        not: '~',
+        shl: '<<',
+        shr: '>>',
+        mod: '%'
+    },
+
+    extractProgrammerExpression: function(text) {
+        return text
+            .replace(/\b(?:convert|calculate|compute|evaluate|what\s+is|what's|bitwise|programmer(?:\s+mode)?)\b/gi, ' ')
+            // Output base and width are read as parameters, not operands
+            .replace(/\b(?:to|in|as|into)\s+(?:hex(?:adecimal)?|bin(?:ary)?|oct(?:al)?|dec(?:imal)?)\b/gi, ' ')
+            .replace(/\b(?:as\s+|in\s+|for\s+)?(?:an?\s+)?(?:(?:un)?signed\s+)?(?:8|16|32|64)[- ]?bits?(?:\s+(?:un)?signed)?(?:\s+integer)?\b/gi, ' ')
+            .replace(/\b(?:as\s+|in\s+|for\s+)?(?:an?\s+)?u?int(?:8|16|32|64)\b/gi, ' ')
+            .replace(/\bwidth\s*[:=]\s*\d+/gi, ' ')
+            .replace(/\bshift(?:ed)?\s+left(?:\s+by)?\b/gi, ' << ')
+            .replace(/\bshift(?:ed)?\s+right(?:\s+by)?\b/gi, ' >> ')
+            .replace(/[?]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    tokenizeProgrammer: function(expr) {
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < expr.length) {
+            const rest = expr.slice(pos);
+
+            if (/^\s/.test(rest)) {
+                pos++;
+                continue;
+            }
+
+            // 0xFF, 0b1010, 0o17 and 1_000_000; underscores group digits
+            const number = rest.match(/^(0x[0-9a-f_]+|0b[01_]+|0o[0-7_]+|\d[\d_]*)(?![\w.])/i);
+            if (number) {
+                const digits = number[0].replace(/_/g, '');
+                tokens.push({ type: 'number', value: BigInt(/^0[xbo]/i.test(digits) ? digits.toLowerCase() : digits), text: number[0], pos });
+                pos += number[0].length;
+                continue;
+            }
+
+            const word = rest.match(/^[a-z_][\w.]*/i);
+            if (word) {
+                const operator = this.programmerWords[word[0].toLowerCase()];
+                if (!operator) {
+                    const hint = /^\d*\.\d+|\.\d/.test(rest) ? 'only whole numbers are supported' : `unknown word '${word[0]}'`;
+                    throw this.mathError(`Programmer mode: ${hint}`, expr, pos);
+                }
+                tokens.push({ type: 'operator', value: operator, text: word[0], pos });
+                pos += word[0].length;
+                continue;
+            }
+
+            const operator = rest.match(/^(<<|>>|\*\*|[&|^~+\-*/%()])/);
+            if (operator) {
+                tokens.push({ type: operator[0] === '(' || operator[0] === ')' ? 'paren' : 'operator', value: operator[0], text: operator[0], pos });
+                pos += operator[0].length;
+                continue;
+            }
+
+            if (/^\d*\.\d/.test(rest)) {
+                throw this.mathError('Programmer mode only supports whole numbers', expr, pos);
+            }
+            throw this.mathError(`Unexpected character '${rest[0]}'`, expr, pos);
+        }
+
+        return tokens;
+    },
+
+    /**
+     * C-style precedence, lowest first:
+     *   or      := xor ('|' xor)*
+     *   xor     := and ('^' and)*               ('^' is XOR here; use '**' for powers)
+     *   and     := shift ('&' shift)*
+     *   shift   := sum (('<<' | '>>') sum)*
+     *   sum     := product (('+' | '-') product)*
+     *   product := unary (('*' | '/' | '%') unary)*
+     *   unary   := ('-' | '+' | '~') unary | power
+     *   power   := primary ('**' unary)?
+     *   primary := integer | '(' or ')'
+     */
+    parseProgrammer: function(tokens, expr) {
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const is = (...values) => peek() && peek().type !== 'number' && values.includes(peek().value);
+
+        const unexpected = (token) => token
+            ? this.mathError(`Unexpected '${token.text}'`, expr, token.pos)
+            : this.mathError('Unexpected end of expression', expr, expr.length);
+
+        const binaryLevel = (operators, parseOperand) => () => {
+            let node = parseOperand();
+            while (is(...operators)) {
+                const op = next();
+                node = { type: 'binary', op: op.value, left: node, right: parseOperand(), pos: op.pos };
+            }
+            return node;
+        };
+
+        const parseUnary = () => {
+            if (is('-', '+', '~')) {
+                const op = next();
+                return { type: 'unary', op: op.value, arg: parseUnary(), pos: op.pos };
+            }
+            return parsePower();
+        };
+
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (is('**')) {
+                const op = next();
+                return { type: 'binary', op: '**', left: base, right: parseUnary(), pos: op.pos };
+            }
+            return base;
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) throw unexpected();
+
+            if (token.type === 'number') {
+                return { type: 'number', value: token.value, pos: token.pos };
+            }
+
+            if (token.value === '(') {
+                const node = parseOr();
+                if (!is(')')) {
+                    throw peek() ? unexpected(peek()) : this.mathError(`Unclosed '('`, expr, token.pos);
+                }
+                next();
+                return node;
+            }
+
+            throw unexpected(token);
+        };
+
+        const parseProduct = binaryLevel(['*', '/', '%'], parseUnary);
+        const parseSum = binaryLevel(['+', '-'], parseProduct);
+        const parseShift = binaryLevel(['<<', '>>'], parseSum);
+        const parseAnd = binaryLevel(['&'], parseShift);
+        const parseXor = binaryLevel(['^'], parseAnd);
+        const parseOr = binaryLevel(['|'], parseXor);
+
+        const tree = parseOr();
+        if (index < tokens.length) {
+            throw unexpected(peek());
+        }
+        return tree;
+    },
+
+    evaluateProgrammer: function(node, expr) {
+        if (node.type === 'number') {
+            return node.value;
+        }
+
+        if (node.type === 'unary') {
+            const value = this.evaluateProgrammer(node.arg, expr);
+            return node.op === '-' ? -value : node.op === '~' ? ~value : value;
+        }
+
+        const left = this.evaluateProgrammer(node.left, expr);
+        const right = this.evaluateProgrammer(node.right, expr);
+        switch (node.op) {
+            case '|': return left | right;
+            case '^': return left ^ right;
+            case '&': return left & right;
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/':
+            case '%':
+                if (right === 0n) throw this.mathError(node.op === '/' ? 'Division by zero' : 'Modulo by zero', expr, node.pos);
+                // Integer division truncates toward zero, as in C
+                return node.op === '/' ? left / right : left % right;
+            case '<<':
+            case '>>':
+                if (right < 0n) throw this.mathError('Shift amount must not be negative', expr, node.pos);
+                if (right > 4096n) throw this.mathError('Shift amount is too large', expr, node.pos);
+                return node.op === '<<' ? left << right : left >> right;
+            case '**':
+                if (right < 0n) throw this.mathError('Negative powers have no integer result', expr, node.pos);
+                if (right > 4096n) throw this.mathError('Power is too large', expr, node.pos);
+                return left ** right;
+        }
+
+        throw this.mathError(`Cannot evaluate '${node.op}'`, expr, node.pos);
+    },
+
+    // "0xFF", "-0b1010", with '_' every 4 digits for long hex/binary values
+    formatInteger: function(value, radix) {
+        const prefix = { 16: '0x', 8: '0o', 2: '0b' }[radix];
+        const digits = (value < 0n ? -value : value).toString(radix).toUpperCase();
+        const grouped = radix === 8 || digits.length <= 8
+            ? digits
+            : digits.replace(/\B(?=([0-9A-F]{4})+$)/g, '_');
+        return (value < 0n ? '-' : '') + prefix + grouped;
+    },
+
+    // Numbers from a list ("1, 2 3\n4") or from one column of a pasted CSV table
+    extractNumbers: function(text, column) {
+        const table = this.readCsvColumn(text, column);
+        if (table) {
+            return table;
+        }
+
+        // Drop "90th percentile" / "p90" so they aren't counted as data.
+        // Commas separate values, except in thousands like the calculator's "1,000,000"
+        const cleaned = text
+            .replace(/\b\d+(st|nd|rd|th)?\s+percentiles?\b/gi, ' ')
+            .replace(/\bp\d+\b/gi, ' ')
+            .replace(/\bcolumn\s*[:=]?\s*\S+/gi, ' ')
+            .replace(/(?<![\d,.])\d{1,3}(?:,\d{3})+(?:\.\d+)?(?!\d|[,.]\d)/g, number => number.replace(/,/g, ''));
+        const matches = cleaned.match(/(?<![\w.])-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(?![\w.])/gi) || [];
+
+        return { numbers: matches.map(Number), column: null };
+    },
+
+    readCsvColumn: function(text, column) {
+        const rows = text.split('\n').map(row => row.trim()).filter(Boolean);
+        const isNumeric = (cell) => cell !== '' && !isNaN(Number(cell));
+
+        // Pick the delimiter that splits the most rows into the same number of cells
+        let best = null;
+        for (const delimiter of [',', ';', '\t']) {
+            const counts = {};
+            for (const row of rows) {
+                const cells = row.split(delimiter).length;
+                if (cells > 1) counts[cells] = (counts[cells] || 0) + 1;
+            }
+            for (const [cells, hits] of Object.entries(counts)) {
+                if (hits >= 2 && (!best || hits > best.hits)) {
+                    best = { delimiter, cells: Number(cells), hits };
+                }
+            }
+        }
+        if (!best) return null;
+
+        const table = rows
+            .map(row => row.split(best.delimiter).map(cell => cell.trim().replace(/^"|"$/g, '')))
+            .filter(cells => cells.length === best.cells);
+        const header = table[0].every(cell => !isNumeric(cell)) ? table[0] : null;
+
+        // Without a header row this is just a list split over lines
+        if (!header && column === undefined) return null;
+
+        const data = header ? table.slice(1) : table;
+        let index;
+        if (column !== undefined && column !== null && /^\d+$/.test(String(column))) {
+            index = Number(column) - 1;
+        } else if (column !== undefined && column !== null) {
+            index = header ? header.findIndex(name => name.toLowerCase() === String(column).toLowerCase()) : -1;
+            if (index === -1) {
+                throw new Error(`No column named "${column}"${header ? `. Columns: ${header.join(', ')}` : ''}`);
+            }
+        } else {
+            // First mostly-numeric column
+            index = header.findIndex((_, i) => data.filter(cells => isNumeric(cells[i])).length > data.length / 2);
+            if (index === -1) return null;
+        }
+
+        return {
+            numbers: data.map(cells => cells[index]).filter(isNumeric).map(Number),
+            column: header ? header[index] : `#${index + 1}`
+        };
+    },
+
+    requestedPercentiles: function(text) {
+        const found = [];
+        const pattern = /\b(\d+)(?:st|nd|rd|th)?\s+percentiles?\b|\bp(\d+)\b/gi;
+        let match;
+        while ((match = pattern.exec(text))) {
+            const p = Number(match[1] || match[2]);
+            if (p >= 0 && p <= 100) found.push(p);
+        }
+        return found;
+    },
+
+    // Linear interpolation between closest ranks
+    percentile: function(sorted, p) {
+        if (sorted.length === 1) return sorted[0];
+        const rank = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    },
+
+    // All most-frequent values, or [] when every value appears once
+    mode: function(numbers) {
+        const counts = new Map();
+        for (const n of numbers) {
+            counts.set(n, (counts.get(n) || 0) + 1);
+        }
+        const highest = Math.max(...counts.values());
+        if (highest === 1) return [];
+        return [...counts.entries()].filter(([, c]) => c === highest).map(([n]) => n).sort((a, b) => a - b);
+    },
+
+    extractExpression: function(input, variableNames = [], locale = null) {
         if (typeof input !== 'string') {
             input = String(input);
         }
 
         // Try to find mathematical expressions in text
-        // Look for patterns like: "5 + 3", "calculate 10 * 2", "what is 100 / 4"
-        
+        // Look for patterns like: "5 + 3", "calculate 10 * 2", "what is sqrt(16) / 4"
+
         // Remove common words
-        let cleaned = input.toLowerCase()
-            .replace(/what\s+is/gi, '')
-            .replace(/calculate/gi, '')
-            .replace(/compute/gi, '')
-            .replace(/solve/gi, '')
-            .replace(/equals?/gi, '')
-            .replace(/\?/g, '');
-
-        // Extract numbers and operators
-        const mathPattern = /[\d+\-*/().\s]+/g;
-        const matches = cleaned.match(mathPattern);
-        
-        if (matches) {
+        const words = (locale && locale.math) || null;
+        let cleaned = this.replaceLocaleWords(this.delocalizeDigits(input.toLowerCase(), this.numberFormatOf(locale)), words)
+            .replace(/what\s+is/gi, ' ')
+            .replace(/what's/gi, ' ')
+            .replace(/calculate/gi, ' ')
+            .replace(/compute/gi, ' ')
+            .replace(/evaluate/gi, ' ')
+            .replace(/solve/gi, ' ')
+            .replace(/equals?/gi, ' ')
+            .replace(/\?/g, ' ');
+
+        cleaned = this.replaceWordOperators(cleaned);
+
+        // Letters only survive when they spell a known function, constant or variable.
+        // Other single letters next to an operator are kept so "z + 1" reports an unknown variable.
+        const known = [...Object.keys(this.functions), ...Object.keys(this.constants), ...variableNames];
+        cleaned = cleaned.replace(/(\d\.?e[+-]?\d+)|[\p{L}_][\p{L}\d_]*/gu, (word, scientific, offset, whole) => {
+            if (scientific || known.includes(word)) return word;
+            // "foo(5)" reads as a call; dropping the name would quietly evaluate "(5)"
+            if (whole[offset + word.length] === '(') {
+                throw this.mathError(`Unknown function '${word}'`, whole.trim(), whole.slice(0, offset).trimStart().length);
+            }
+            const around = whole.slice(Math.max(offset - 2, 0), offset) + whole.slice(offset + word.length, offset + word.length + 2);
+            return word.length === 1 && /[+\-*/^%!()]/.test(around) ? word : '\u0000';
+        });
+
+        // Extract numbers, operators and names
+        const mathPattern = /[\w+\-*/^%!().,\s]+/g;
+        const matches = (cleaned.match(mathPattern) || [])
+            .map(match => match.trim().replace(/[.,]+$/, ''))
+            .filter(match => /[\d]|[a-z]/.test(match));
+
+        if (matches.length > 0) {
             // Take the longest match
-            return matches.reduce((a, b) => a.length > b.length ? a : b).trim();
+            return matches.reduce((a, b) => a.length >= b.length ? a : b);
         }
 
-        // If no pattern found, assume entire input is expression
-        return input.trim();
+        return '';
+    },
+
+    // Command words and word operators from the locale file, e.g. "cuánto es", "más" -> +
+    replaceLocaleWords: function(text, words) {
+        if (!words) return text;
+
+        const phrase = source => new RegExp(
+            `(?<![\\p{L}\\d])${source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\d])`, 'giu'
+        );
+        for (const command of words.commands || []) {
+            text = text.replace(phrase(command), '');
+        }
+        // Longest first, so "multiplicado por" wins over "por"
+        const operators = Object.entries(words.operators || {}).sort((a, b) => b[0].length - a[0].length);
+        for (const [word, symbol] of operators) {
+            text = text.replace(phrase(word), symbol);
+        }
+        return text;
+    },
+
+    replaceWordOperators: function(text) {
+        return text
+            .replace(/\bmultiply\s+(.+?)\s+by\s+(.+)/g, '($1) * ($2)')
+            .replace(/\bdivide\s+(.+?)\s+by\s+(.+)/g, '($1) / ($2)')
+            .replace(/\badd\s+(.+?)\s+to\s+(.+)/g, '($2) + ($1)')
+            .replace(/\bsubtract\s+(.+?)\s+from\s+(.+)/g, '($2) - ($1)')
+            .replace(/\bfactorial of\s+(\d+)/g, '$1!')
+            .replace(/(\d+)\s+factorial\b/g, '$1!')
+            .replace(/\bsquare root of\b/g, ' sqrt ')
+            .replace(/\bto the power of\b/g, '^')
+            .replace(/\bmultiplied by\b/g, '*')
+            .replace(/\bdivided by\b/g, '/')
+            .replace(/\bplus\b/g, '+')
+            .replace(/\bminus\b/g, '-')
+            .replace(/\btimes\b/g, '*')
+            .replace(/\bover\b/g, '/')
+            .replace(/\bmod(ulo)?\b/g, '%')
+            .replace(/\bsquared\b/g, '^2')
+            .replace(/\bcubed\b/g, '^3')
+            .replace(/(\d)\s*[x×]\s*(?=[\d(])/g, '$1 * ')
+            .replace(/÷/g, '/');
     },
 
     cleanExpression: function(expr) {
-        // Remove any characters that aren't numbers, operators, parentheses, or decimal points
-        return expr.replace(/[^0-9+\-*/().\s]/g, '').trim();
+        // Keep digits, names, operators, parentheses and argument commas
+        let cleaned = expr
+            .replace(/\*\*/g, '^')
+            .replace(/[×]/g, '*')
+            .replace(/[÷]/g, '/')
+            .replace(/[^0-9a-z_+\-*/^%!().,\s]/gi, '')
+            .trim();
+
+        // Thousands separators ("1,000,000") unless commas separate function arguments
+        if (!/[a-z]\s*\(/i.test(cleaned)) {
+            cleaned = cleaned.replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+        }
+
+        return cleaned;
     },
 
-    safeEval: function(expression) {
+    safeEval: function(expression, variables = {}) {
         // Safe evaluation without using eval()
-        // Only allows basic arithmetic operations
-        
-        // Replace operators with methods
+        // Tokenize, parse into a syntax tree, then evaluate the tree
         const tokens = this.tokenize(expression);
-        return this.evaluateTokens(tokens);
+        const tree = this.parse(tokens, expression, variables);
+        const result = this.evaluate(tree, expression, variables);
+
+        if (!Number.isFinite(result)) {
+            throw this.mathError(Number.isNaN(result) ? 'Result is not a number' : 'Result is too large', expression);
+        }
+
+        return result;
     },
 
     tokenize: function(expr) {
         const tokens = [];
-        let current = '';
-        
-        for (let i = 0; i < expr.length; i++) {
-            const char = expr[i];
-            
-            if (char === ' ') {
+        let pos = 0;
+
+        while (pos < expr.length) {
+            const char = expr[pos];
+
+            if (/\s/.test(char)) {
+                pos++;
+                continue;
+            }
+
+            const number = expr.slice(pos).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+            if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), text: number[0], pos });
+                pos += number[0].length;
+                continue;
+            }
+
+            const name = expr.slice(pos).match(/^[a-z_][a-z0-9_]*/i);
+            if (name) {
+                tokens.push({ type: 'name', value: name[0].toLowerCase(), text: name[0], pos });
+                pos += name[0].length;
+                continue;
+            }
+
+            if ('+-*/^%!(),'.includes(char)) {
+                tokens.push({ type: char === '(' || char === ')' ? 'paren' : char === ',' ? 'comma' : 'operator', value: char, text: char, pos });
+                pos++;
                 continue;
             }
-            
-            if ('+-*/()'.includes(char)) {
-                if (current) {
-                    tokens.push(parseFloat(current));
-                    current = '';
+
+            throw this.mathError(`Unexpected character '${char}'`, expr, pos);
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Recursive-descent parser. Precedence, lowest first:
+     *   expression := term (('+' | '-') term)*
+     *   term       := unary (('*' | '/' | '%') unary | implicit unary)*
+     *   unary      := ('+' | '-') unary | power
+     *   power      := postfix ('^' unary)?            (right associative)
+     *   postfix    := primary ('%' | '!')*            (percent: "50%" = 0.5, factorial: "5!")
+     *   primary    := number | constant | variable | function call | '(' expression ')'
+     */
+    parse: function(tokens, expr, variables = {}) {
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const is = (value) => peek() && peek().value === value && peek().type !== 'number' && peek().type !== 'name';
+
+        const unexpected = (token) => {
+            if (!token) {
+                const last = tokens[tokens.length - 1];
+                return this.mathError(
+                    last ? `Unexpected end of expression after '${last.text}'` : 'Empty expression',
+                    expr, expr.length
+                );
+            }
+            return this.mathError(`Unexpected '${token.text}'`, expr, token.pos);
+        };
+
+        // Tokens that can begin an operand (used for implicit multiplication)
+        const startsOperand = (token) => token && (token.type === 'number' || token.type === 'name' || token.value === '(');
+
+        const parseExpression = () => {
+            let node = parseTerm();
+            while (is('+') || is('-')) {
+                const op = next();
+                node = { type: 'binary', op: op.value, left: node, right: parseTerm(), pos: op.pos };
+            }
+            return node;
+        };
+
+        const parseTerm = () => {
+            let node = parseUnary();
+            while (true) {
+                if (is('*') || is('/') || (is('%') && startsOperand(tokens[index + 1]))) {
+                    const op = next();
+                    node = { type: 'binary', op: op.value, left: node, right: parseUnary(), pos: op.pos };
+                } else if (startsOperand(peek()) && !(peek().type === 'number' && node.type === 'number')) {
+                    // "2pi", "3(4 + 1)", "(1 + 2)(3 + 4)"
+                    const pos = peek().pos;
+                    node = { type: 'binary', op: '*', left: node, right: parseUnary(), pos };
+                } else {
+                    return node;
+                }
+            }
+        };
+
+        const parseUnary = () => {
+            if (is('+') || is('-')) {
+                const op = next();
+                return { type: 'unary', op: op.value, arg: parseUnary(), pos: op.pos };
+            }
+            return parsePower();
+        };
+
+        const parsePower = () => {
+            const base = parsePostfix();
+            if (is('^')) {
+                const op = next();
+                return { type: 'binary', op: '^', left: base, right: parseUnary(), pos: op.pos };
+            }
+            return base;
+        };
+
+        const parsePostfix = () => {
+            let node = parsePrimary();
+            while ((is('%') && !startsOperand(tokens[index + 1])) || is('!')) {
+                const op = next();
+                node = { type: op.value === '%' ? 'percent' : 'factorial', arg: node, pos: op.pos };
+            }
+            return node;
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) throw unexpected();
+
+            if (token.type === 'number') {
+                return { type: 'number', value: token.value, text: token.text, pos: token.pos };
+            }
+
+            if (token.type === 'name') {
+                if (this.functions[token.value]) {
+                    return parseCall(token);
+                }
+                if (this.constants[token.value] !== undefined) {
+                    return { type: 'constant', name: token.value, pos: token.pos };
+                }
+                if (Object.prototype.hasOwnProperty.call(variables, token.value)) {
+                    return { type: 'variable', name: token.value, pos: token.pos };
+                }
+                throw this.mathError(`Unknown variable '${token.text}'`, expr, token.pos);
+            }
+
+            if (token.value === '(') {
+                const node = parseExpression();
+                if (!is(')')) {
+                    throw peek() ? unexpected(peek()) : this.mathError(`Unclosed '('`, expr, token.pos);
                 }
-                tokens.push(char);
+                next();
+                return node;
+            }
+
+            throw unexpected(token);
+        };
+
+        const parseCall = (name) => {
+            const args = [];
+
+            if (is('(')) {
+                const open = next();
+                if (!is(')')) {
+                    args.push(parseExpression());
+                    while (is(',')) {
+                        next();
+                        args.push(parseExpression());
+                    }
+                }
+                if (!is(')')) {
+                    throw peek() ? unexpected(peek()) : this.mathError(`Unclosed '${name.text}('`, expr, open.pos);
+                }
+                next();
             } else {
-                current += char;
+                // "sqrt 16" applies to the next operand
+                args.push(parsePower());
+            }
+
+            const [min, max] = this.functions[name.value].arity;
+            if (args.length < min || args.length > max) {
+                const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} or ${max}`;
+                throw this.mathError(`${name.text}() expects ${expected} argument${max === 1 ? '' : 's'}, got ${args.length}`, expr, name.pos);
+            }
+
+            if (name.value === 'factorial') {
+                return { type: 'factorial', arg: args[0], pos: name.pos };
             }
+
+            return { type: 'call', name: name.value, args, pos: name.pos };
+        };
+
+        const tree = parseExpression();
+        if (index < tokens.length) {
+            throw unexpected(peek());
         }
-        
-        if (current) {
-            tokens.push(parseFloat(current));
+        return tree;
+    },
+
+    evaluate: function(node, expr, variables = {}) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+
+            case 'constant':
+                return this.constants[node.name];
+
+            case 'variable':
+                return variables[node.name];
+
+            case 'unary': {
+                const value = this.evaluate(node.arg, expr, variables);
+                return node.op === '-' ? -value : value;
+            }
+
+            case 'percent':
+                return this.evaluate(node.arg, expr, variables) / 100;
+
+            case 'factorial': {
+                const n = this.evaluate(node.arg, expr, variables);
+                this.checkFactorial(n, expr, node.pos);
+                if (n > 170) {
+                    throw this.mathError(`${n}! is too large for decimals; ask for the exact answer instead`, expr, node.pos);
+                }
+                return this.factorial(n);
+            }
+
+            case 'call': {
+                const args = node.args.map(arg => this.evaluate(arg, expr, variables));
+                return this.functions[node.name].fn(...args);
+            }
+
+            case 'binary': {
+                const left = this.evaluate(node.left, expr, variables);
+                const right = this.evaluate(node.right, expr, variables);
+                switch (node.op) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/':
+                        if (right === 0) throw this.mathError('Division by zero', expr, node.pos);
+                        return left / right;
+                    case '%':
+                        if (right === 0) throw this.mathError('Modulo by zero', expr, node.pos);
+                        return left % right;
+                    case '^': return Math.pow(left, right);
+                }
+            }
         }
-        
-        return tokens;
+
+        throw this.mathError(`Cannot evaluate '${node.type}'`, expr, node.pos);
+    },
+
+    safeEvalExact: function(expression, variables = {}) {
+        const tokens = this.tokenize(expression);
+        const tree = this.parse(tokens, expression, variables);
+        return this.evaluateExact(tree, expression, variables);
     },
 
-    evaluateTokens: function(tokens) {
-        // Simple expression evaluator using operator precedence
-        // This implements a basic calculator
-        
-        // Handle parentheses first
-        while (tokens.includes('(')) {
-            const start = tokens.lastIndexOf('(');
-            let end = start;
-            let depth = 1;
-            
-            for (let i = start + 1; i < tokens.length; i++) {
-                if (tokens[i] === '(') depth++;
-                if (tokens[i] === ')') {
-                    depth--;
-                    if (depth === 0) {
-                        end = i;
+    /**
+     * Same tree walk as evaluate() but over BigInt fractions. Anything that
+     * has no exact answer (sin, pi, 2^0.5) falls back to a decimal and the
+     * result is flagged inexact.
+     */
+    evaluateExact: function(node, expr, variables = {}) {
+        const walk = (child) => this.evaluateExact(child, expr, variables);
+        const approximate = (value) => this.fractionFromNumber(value, true);
+
+        switch (node.type) {
+            case 'number':
+                return this.fractionFromDecimal(node.text);
+
+            case 'constant':
+                return approximate(this.constants[node.name]);
+
+            case 'variable':
+                return this.fractionFromNumber(variables[node.name]);
+
+            case 'unary': {
+                const value = walk(node.arg);
+                return node.op === '-' ? this.fraction(-value.num, value.den, value.inexact) : value;
+            }
+
+            case 'percent':
+                return this.divideFractions(walk(node.arg), this.fraction(100n), expr, node.pos);
+
+            case 'factorial': {
+                const value = walk(node.arg);
+                if (value.den !== 1n || value.num < 0n) {
+                    throw this.mathError('Factorial needs a non-negative whole number', expr, node.pos);
+                }
+                if (value.num > 20000n) {
+                    throw this.mathError('Factorial is limited to 20000!', expr, node.pos);
+                }
+                return this.fraction(this.factorial(value.num), 1n, value.inexact);
+            }
+
+            case 'call': {
+                const args = node.args.map(walk);
+                const inexact = args.some(arg => arg.inexact);
+                switch (node.name) {
+                    case 'abs':
+                        return this.fraction(args[0].num < 0n ? -args[0].num : args[0].num, args[0].den, inexact);
+                    case 'floor':
+                    case 'ceil':
+                    case 'round':
+                        return this.fraction(this.roundFraction(args[0], node.name), 1n, inexact);
+                    case 'min':
+                    case 'max':
+                        return args.reduce((best, arg) => {
+                            const diff = this.compareFractions(arg, best);
+                            return (node.name === 'min' ? diff < 0 : diff > 0) ? arg : best;
+                        });
+                    case 'sqrt': {
+                        const root = this.exactSquareRoot(args[0]);
+                        if (root) return root;
                         break;
                     }
                 }
+                return approximate(this.functions[node.name].fn(...args.map(arg => this.fractionToNumber(arg))));
             }
-            
-            const subExpr = tokens.slice(start + 1, end);
-            const subResult = this.evaluateTokens(subExpr);
-            tokens.splice(start, end - start + 1, subResult);
-        }
-        
-        // Handle multiplication and division
-        for (let i = 1; i < tokens.length - 1; i++) {
-            if (tokens[i] === '*' || tokens[i] === '/') {
-                const left = tokens[i - 1];
-                const right = tokens[i + 1];
-                const result = tokens[i] === '*' ? left * right : left / right;
-                tokens.splice(i - 1, 3, result);
-                i--;
+
+            case 'binary': {
+                const left = walk(node.left);
+                const right = walk(node.right);
+                const inexact = left.inexact || right.inexact;
+                switch (node.op) {
+                    case '+':
+                        return this.fraction(left.num * right.den + right.num * left.den, left.den * right.den, inexact);
+                    case '-':
+                        return this.fraction(left.num * right.den - right.num * left.den, left.den * right.den, inexact);
+                    case '*':
+                        return this.fraction(left.num * right.num, left.den * right.den, inexact);
+                    case '/':
+                        return this.divideFractions(left, right, expr, node.pos);
+                    case '%': {
+                        if (right.num === 0n) throw this.mathError('Modulo by zero', expr, node.pos);
+                        // a - b * trunc(a / b), matching the decimal '%'
+                        const quotient = (left.num * right.den) / (right.num * left.den);
+                        return this.fraction(
+                            left.num * right.den - quotient * right.num * left.den,
+                            left.den * right.den,
+                            inexact
+                        );
+                    }
+                    case '^':
+                        if (right.den === 1n && right.num <= 100000n && right.num >= -100000n) {
+                            const power = right.num < 0n ? -right.num : right.num;
+                            const result = this.fraction(left.num ** power, left.den ** power, inexact);
+                            return right.num < 0n ? this.divideFractions(this.fraction(1n), result, expr, node.pos) : result;
+                        }
+                        return approximate(Math.pow(this.fractionToNumber(left), this.fractionToNumber(right)));
+                }
             }
         }
-        
-        // Handle addition and subtraction
-        for (let i = 1; i < tokens.length - 1; i++) {
-            if (tokens[i] === '+' || tokens[i] === '-') {
-                const left = tokens[i - 1];
-                const right = tokens[i + 1];
-                const result = tokens[i] === '+' ? left + right : left - right;
-                tokens.splice(i - 1, 3, result);
-                i--;
-            }
+
+        throw this.mathError(`Cannot evaluate '${node.type}'`, expr, node.pos);
+    },
+
+    // Fractions are plain { num, den, inexact } objects with BigInt parts in lowest terms
+    fraction: function(num, den = 1n, inexact = false) {
+        if (den < 0n) {
+            num = -num;
+            den = -den;
+        }
+        const divisor = this.gcd(num < 0n ? -num : num, den);
+        return { num: num / divisor, den: den / divisor, inexact: inexact };
+    },
+
+    gcd: function(a, b) {
+        while (b !== 0n) {
+            [a, b] = [b, a % b];
+        }
+        return a === 0n ? 1n : a;
+    },
+
+    divideFractions: function(left, right, expr, pos) {
+        if (right.num === 0n) {
+            throw this.mathError('Division by zero', expr, pos);
         }
-        
-        return tokens[0];
+        return this.fraction(left.num * right.den, left.den * right.num, left.inexact || right.inexact);
+    },
+
+    compareFractions: function(a, b) {
+        const diff = a.num * b.den - b.num * a.den;
+        return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+    },
+
+    roundFraction: function(value, mode) {
+        const floor = value.num >= 0n
+            ? value.num / value.den
+            : -((-value.num + value.den - 1n) / value.den);
+        const remainder = this.fraction(value.num - floor * value.den, value.den);
+        if (mode === 'floor' || remainder.num === 0n) return floor;
+        if (mode === 'ceil') return floor + 1n;
+        // round half up, like Math.round
+        return remainder.num * 2n >= remainder.den ? floor + 1n : floor;
+    },
+
+    exactSquareRoot: function(value) {
+        if (value.num < 0n) return null;
+        const num = this.integerSquareRoot(value.num);
+        const den = this.integerSquareRoot(value.den);
+        if (num * num === value.num && den * den === value.den) {
+            return this.fraction(num, den, value.inexact);
+        }
+        return null;
+    },
+
+    integerSquareRoot: function(n) {
+        if (n < 2n) return n;
+        let x = BigInt(Math.floor(Math.sqrt(Number(n))));
+        // Newton steps fix the float estimate for very large n
+        while (x * x > n) x = (x + n / x) / 2n;
+        while ((x + 1n) * (x + 1n) <= n) x++;
+        return x;
     },
 
-    formatResult: function(result) {
+    // "12.5", "1e-3" -> exact fraction
+    fractionFromDecimal: function(text) {
+        const match = String(text).toLowerCase().match(/^(\d*)\.?(\d*)(?:e([+-]?\d+))?$/);
+        if (!match) {
+            return this.fractionFromNumber(Number(text));
+        }
+        const digits = (match[1] || '0') + match[2];
+        const exponent = Number(match[3] || 0) - match[2].length;
+        return exponent >= 0
+            ? this.fraction(BigInt(digits) * 10n ** BigInt(exponent))
+            : this.fraction(BigInt(digits), 10n ** BigInt(-exponent));
+    },
+
+    fractionFromNumber: function(value, inexact = false) {
+        if (!Number.isFinite(value)) {
+            throw new Error('Result is not a finite number');
+        }
+        const text = String(Math.abs(value));
+        const fraction = this.fractionFromDecimal(text);
+        return this.fraction(value < 0 ? -fraction.num : fraction.num, fraction.den, inexact);
+    },
+
+    fractionToNumber: function(value) {
+        const result = Number(value.num) / Number(value.den);
+        return Number.isFinite(result) ? result : parseFloat(this.fractionToDecimal(value, 20));
+    },
+
+    fractionToString: function(value) {
+        return value.den === 1n ? value.num.toString() : `${value.num}/${value.den}`;
+    },
+
+    // Decimal expansion computed with BigInt so huge values keep their digits
+    fractionToDecimal: function(value, places) {
+        const negative = value.num < 0n;
+        const num = negative ? -value.num : value.num;
+        const scaled = (num * 10n ** BigInt(places)) / value.den;
+        const digits = scaled.toString().padStart(places + 1, '0');
+        const fractional = digits.slice(-places).replace(/0+$/, '');
+        const text = digits.slice(0, -places) + (fractional ? '.' + fractional : '');
+        const repeats = (num * 10n ** BigInt(places)) % value.den !== 0n;
+        return (negative ? '-' : '') + text + (repeats ? '…' : '');
+    },
+
+    groupDigits: function(digits) {
+        const negative = digits.startsWith('-');
+        const body = negative ? digits.slice(1) : digits;
+        return (negative ? '-' : '') + body.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    },
+
+    checkFactorial: function(n, expr, pos) {
+        if (n < 0 || !Number.isInteger(n)) {
+            throw this.mathError('Factorial needs a non-negative whole number', expr, pos);
+        }
+    },
+
+    mathError: function(message, expr, pos) {
+        const error = new Error(pos === undefined ? message : `${message} at position ${pos + 1}`);
+        error.expression = expr;
+        if (pos !== undefined) {
+            error.position = pos;
+            error.context = expr + '\n' + ' '.repeat(pos) + '^';
+        }
+        return error;
+    },
+
+    // numberFormat is a BCP 47 locale such as 'en-US' or 'fr-FR'; output is built in
+    // en-US form and then given the locale's separators
+    formatResult: function(result, numberFormat = 'en-US') {
+        if (typeof result === 'bigint') {
+            result = this.fraction(result);
+        }
+
+        // Exact fractions show both forms: "3/10 (0.3)", "1/3 (≈ 0.3333333333…)"
+        if (result && typeof result === 'object' && typeof result.num === 'bigint') {
+            const decimal = this.fractionToDecimal(result, 10);
+            if (result.inexact) {
+                return `≈ ${decimal.replace('…', '')} (no exact form)`;
+            }
+            if (result.den === 1n) {
+                const digits = result.num.toString();
+                const grouped = this.groupDigits(digits);
+                const body = digits.replace('-', '');
+                if (body.length <= 15) return this.localizeDigits(grouped, numberFormat);
+                const scientific = `${digits.startsWith('-') ? '-' : ''}${body[0]}.${body.slice(1, 7)}e+${body.length - 1}`;
+                // Very long integers are elided here; the full digits stay in result.exact
+                const shown = body.length <= 60 ? grouped : `${grouped.slice(0, 31)}…${grouped.slice(-15)}`;
+                return this.localizeDigits(`${shown} (≈ ${scientific}, ${body.length} digits)`, numberFormat);
+            }
+            const approx = decimal.endsWith('…') ? `≈ ${decimal}` : decimal;
+            return this.localizeDigits(`${this.fractionToString(result)} (${approx})`, numberFormat);
+        }
+
         if (typeof result !== 'number') {
             return String(result);
         }
-        
+
+        // Past 2^53 a double no longer holds every integer, so grouped digits would
+        // show made-up trailing digits ("170!"); exact mode has them all
+        if (Math.abs(result) > Number.MAX_SAFE_INTEGER) {
+            const scientific = result.toExponential(10).replace(/\.?0+e/, 'e');
+            return this.localizeDigits(`≈ ${scientific}`, numberFormat);
+        }
+
         // Format large numbers with commas
         if (Math.abs(result) >= 1000) {
-            return result.toLocaleString('en-US', {
+            return result.toLocaleString(numberFormat, {
                 maximumFractionDigits: 10
             });
         }
-        
+
         // Format decimals nicely
         if (result % 1 !== 0) {
-            return result.toFixed(10).replace(/\.?0+$/, '');
+            return this.localizeDigits(result.toFixed(10).replace(/\.?0+$/, ''), numberFormat);
         }
-        
+
         return String(result);
     },
 
+    // Swap en-US "1,234.5" separators for the locale's; only between digits, so
+    // prose like "(≈ 1.2e+20, 21 digits)" keeps its punctuation
+    localizeDigits: function(text, numberFormat) {
+        if (!numberFormat || numberFormat === 'en-US') return text;
+
+        const { group, decimal } = this.numberSeparators(numberFormat);
+        return text.replace(/(\d)([.,])(?=\d)/g, (match, digit, separator) =>
+            digit + (separator === ',' ? group : decimal));
+    },
+
+    // Read numbers typed the way the locale shows them: in fr-FR "1 235,5" is 1235.5.
+    // A decimal comma between digits is never a list comma here, so write "max(1; 2)"
+    // or "max(1, 2)" there
+    delocalizeDigits: function(text, numberFormat) {
+        if (!numberFormat || numberFormat === 'en-US') return text;
+
+        const { group, decimal } = this.numberSeparators(numberFormat);
+        if (decimal !== ',') return text;
+
+        const groupPattern = group === '.' ? '\\.' : '[\\s\\u00a0\\u202f]';
+        return text
+            .replace(new RegExp(`(\\d)${groupPattern}(?=\\d{3}(?!\\d))`, 'g'), '$1')
+            .replace(/(\d),(?=\d)/g, '$1.')
+            .replace(/;/g, ',');
+    },
+
+    // { group, decimal } separators of a BCP 47 number format
+    numberSeparators: function(numberFormat) {
+        if (!this.separators.has(numberFormat)) {
+            let group = ',';
+            let decimal = '.';
+            try {
+                for (const part of new Intl.NumberFormat(numberFormat).formatToParts(12345.6)) {
+                    if (part.type === 'group') group = part.value;
+                    if (part.type === 'decimal') decimal = part.value;
+                }
+            } catch (error) {
+                // Not a format Intl knows: keep the en-US separators
+            }
+            this.separators.set(numberFormat, { group, decimal });
+        }
+        return this.separators.get(numberFormat);
+    },
+
     // Additional math functions
     percentage: function(value, total) {
         return (value / total) * 100;
@@ -189,9 +1356,16 @@ const MathTools = {
         return numbers.reduce((a, b) => a + b, 0) / numbers.length;
     },
 
+    // Iterative so large n can't overflow the stack; pass a BigInt for exact results
     factorial: function(n) {
-        if (n <= 1) return 1;
-        return n * this.factorial(n - 1);
+        if (typeof n === 'bigint') {
+            let result = 1n;
+            for (let i = 2n; i <= n; i++) result *= i;
+            return result;
+        }
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
     }
 };
 
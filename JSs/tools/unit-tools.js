@@ -0,0 +1,246 @@
+/**
+ * Unit Tools - Offline measurement conversion (length, mass, volume,
+ * temperature, time, data size and speed) using Jsons/units.json.
+ * params.locale.units adds a language's command words, separators and unit names.
+ */
+
+const UnitTools = {
+    dataPath: '/Jsons/units.json',
+    table: null,
+
+    convert: async function(input, params = {}) {
+        const numberFormat = (params.locale && params.locale.numberFormat) || 'en-US';
+        const words = this.localeWords(params.locale);
+        try {
+            await this.loadUnits();
+
+            // "2,5 km" is 2.5 km in fr-FR
+            let text = typeof input === 'string' ? input : String(input);
+            if (typeof MathTools !== 'undefined') {
+                text = MathTools.delocalizeDigits(text, numberFormat);
+            }
+
+            const request = this.parseRequest(text, params.to, words);
+            if (!request.target) {
+                return {
+                    success: false,
+                    error: 'Tell me which unit to convert to, e.g. "5 miles to km"'
+                };
+            }
+
+            const target = this.findUnit(request.target, words.names);
+            if (!target) {
+                return {
+                    success: false,
+                    error: `I don't know the unit "${request.target}"`
+                };
+            }
+
+            const terms = this.parseQuantity(request.source, words.names);
+            if (terms.length === 0) {
+                return {
+                    success: false,
+                    error: 'No quantity found. Try "3 ft + 20 in in cm"'
+                };
+            }
+
+            for (const term of terms) {
+                if (term.unit.category !== target.category) {
+                    return {
+                        success: false,
+                        error: `Can't convert ${term.unit.category} (${term.unit.symbol}) to ${target.category} (${target.symbol})`
+                    };
+                }
+            }
+
+            if (target.category === 'temperature' && terms.length > 1) {
+                return {
+                    success: false,
+                    error: 'Temperatures can only be converted one at a time'
+                };
+            }
+
+            // Sum every term in the base unit, then express it in the target
+            const base = terms.reduce((total, term) => total + this.toBase(term.value, term.unit), 0);
+            const value = this.fromBase(base, target);
+
+            return {
+                success: true,
+                category: target.category,
+                from: terms.map(term => `${this.formatNumber(term.value, numberFormat)} ${term.unit.symbol}`).join(' + ').replace(/\+ -/g, '- '),
+                to: target.symbol,
+                terms: terms.map(term => ({ value: term.value, unit: term.unit.symbol })),
+                value: value,
+                formatted: `${this.formatNumber(value, numberFormat)} ${target.symbol}`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    loadUnits: async function() {
+        if (this.table) return this.table;
+
+        const response = await fetch(this.dataPath);
+        const data = await response.json();
+
+        // Flatten into one lookup: exact symbols/aliases first, then lowercase fallbacks
+        const exact = new Map();
+        const loose = new Map();
+        for (const [category, definition] of Object.entries(data.categories)) {
+            for (const [symbol, unit] of Object.entries(definition.units)) {
+                const entry = { symbol, category, factor: unit.factor, offset: unit.offset || 0 };
+                for (const name of [symbol, ...(unit.aliases || [])]) {
+                    if (!exact.has(name)) exact.set(name, entry);
+                    if (!loose.has(name.toLowerCase())) loose.set(name.toLowerCase(), entry);
+                }
+            }
+        }
+
+        this.table = { exact, loose };
+        return this.table;
+    },
+
+    // The locale's words on top of the English ones: { commands, separators, howMany, names }
+    localeWords: function(locale) {
+        const units = (locale && locale.units) || {};
+        const names = new Map();
+        for (const [name, symbol] of Object.entries(units.names || {})) {
+            names.set(name.toLowerCase(), symbol);
+        }
+        return {
+            commands: units.commands || [],
+            separators: units.separators || [],
+            howMany: units.howMany ? new RegExp(units.howMany, 'iu') : null,
+            names: names
+        };
+    },
+
+    // names maps a locale's unit words to symbols ("millas" -> "mi")
+    findUnit: function(name, names = null) {
+        const cleaned = name.trim()
+            .replace(/^(degrees?|deg)\s+/i, '')
+            .replace(/^°\s*/, '')
+            .replace(/\.$/, '');
+        const localized = names && names.get(name.trim().toLowerCase());
+        if (localized) return this.table.exact.get(localized) || null;
+        return this.table.exact.get(cleaned) || this.table.loose.get(cleaned.toLowerCase()) || null;
+    },
+
+    // Split "convert 3 ft + 20 in in cm" into source "3 ft + 20 in" and target "cm"
+    parseRequest: function(text, target, words = this.localeWords(null)) {
+        const escape = word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const commands = ['convert', 'conversion', 'change', 'what\\s+is', "what's", 'how\\s+much\\s+is', ...words.commands.map(escape)];
+        let cleaned = text.trim()
+            .replace(/^[¿¡]+/, '')
+            .replace(new RegExp(`^(please\\s+)?(?:${commands.join('|')})\\s+`, 'iu'), '')
+            .replace(/[?!]+\s*$/, '')
+            .trim();
+
+        const howMany = cleaned.match(/^how\s+many\s+(.+?)\s+(?:are\s+)?(?:in|is|=)\s+(.+)$/i)
+            || (words.howMany && cleaned.match(words.howMany));
+        if (howMany && this.findUnit(howMany[1], words.names)) {
+            return { source: howMany[2], target: target || howMany[1] };
+        }
+
+        // Greedy source, so the last "in"/"to" is the separator ("20 in in cm")
+        const separators = ['to', 'in', 'into', 'as', '->', '=>', '=', ...words.separators.map(escape)];
+        const separated = cleaned.match(new RegExp(
+            `^(.*\\S)\\s+(?:${separators.join('|')})\\s+((?:degrees?\\s+|deg\\s+)?°?\\s*[\\p{L}µ][\\p{L}\\d_/°³ ]*?)$`, 'u'
+        ));
+        if (separated && this.findUnit(separated[2], words.names)) {
+            return { source: separated[1], target: target || separated[2] };
+        }
+
+        return { source: cleaned, target: target || null };
+    },
+
+    // "3 ft + 20 in", "5 feet 3 inches", "(2 * 3) km", "-40 °F", "1,000 m", "1e3 m"
+    parseQuantity: function(source, names = null) {
+        const terms = [];
+        const number = '(?:\\d{1,3}(?:,\\d{3})+(?!\\d)|\\d*\\.?\\d+)(?:e[+-]?\\d+)?';
+        const pattern = new RegExp(
+            `([+-]?)\\s*((?:${number}|\\()(?:${number}|[\\s*/^()+\\-])*?)\\s*((?:degrees?\\s+|deg\\s+)?°?\\s*(?:[\\p{L}µ][\\p{L}/³0-9]*|'|"))`,
+            'giu'
+        );
+        // Digits outside every term ("1,2 m") would be dropped, so they are an error
+        const unread = (from, to) => {
+            const skipped = source.slice(from, to);
+            if (/\d/.test(skipped)) {
+                throw new Error(`Can't read the number "${skipped.trim()}"`);
+            }
+        };
+        let read = 0;
+        let match;
+
+        while ((match = pattern.exec(source))) {
+            unread(read, match.index);
+            let name = match[3];
+
+            // Multi-word units: "fl oz", "nautical miles", "miles per hour"
+            const following = source.slice(pattern.lastIndex).match(/^\s+(\p{L}+)(?:\s+(\p{L}+))?/u);
+            if (following) {
+                const candidates = [[following[1], following[2]].filter(Boolean), [following[1]]];
+                for (const words of candidates) {
+                    const longer = [name, ...words].join(' ');
+                    if (words.length && this.findUnit(longer, names)) {
+                        name = longer;
+                        pattern.lastIndex += source.slice(pattern.lastIndex).indexOf(words[words.length - 1]) + words[words.length - 1].length;
+                        break;
+                    }
+                }
+            }
+
+            const unit = this.findUnit(name, names);
+            if (!unit) {
+                throw new Error(`I don't know the unit "${name.trim()}"`);
+            }
+            const value = this.evaluateNumber(match[2]);
+            terms.push({ value: match[1] === '-' ? -value : value, unit: unit });
+            read = pattern.lastIndex;
+        }
+        unread(read, source.length);
+
+        return terms;
+    },
+
+    // Arithmetic inside a term is handed to the calculator when it is loaded
+    evaluateNumber: function(text) {
+        // parseQuantity only lets through whole groups, so every comma here groups digits
+        const expression = text.trim().replace(/(\d),(?=\d{3})/g, '$1');
+        if (/^\d*\.?\d+(e[+-]?\d+)?$/i.test(expression)) {
+            return parseFloat(expression);
+        }
+        if (typeof MathTools !== 'undefined') {
+            return MathTools.safeEval(MathTools.cleanExpression(expression));
+        }
+        const value = parseFloat(expression);
+        if (Number.isNaN(value)) {
+            throw new Error(`Can't read the number "${expression}"`);
+        }
+        return value;
+    },
+
+    toBase: function(value, unit) {
+        return (value + unit.offset) * unit.factor;
+    },
+
+    fromBase: function(value, unit) {
+        return value / unit.factor - unit.offset;
+    },
+
+    formatNumber: function(value, numberFormat = 'en-US') {
+        if (typeof MathTools !== 'undefined') {
+            return MathTools.formatResult(Math.round(value * 1e10) / 1e10, numberFormat);
+        }
+        return String(Math.round(value * 1e6) / 1e6);
+    }
+};
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UnitTools;
+}
@@ -0,0 +1,194 @@
+/**
+ * Worker Pool - Runs tool calls in a few reusable Web Workers
+ * A call that runs past its timeout, or is cancelled, has its worker terminated
+ * and replaced; that is the only way to stop a busy loop.
+ */
+
+class WorkerPool {
+    constructor(scriptUrl, options = {}) {
+        this.scriptUrl = scriptUrl;
+        this.size = options.size || 2;
+        this.timeout = options.timeout || 5000;
+        // Updates keep a call alive past timeout, but never past this
+        this.deadline = options.deadline || 30000;
+        // Sent to every new worker before its first task, e.g. which scripts to import
+        this.setup = options.setup || null;
+        this.slots = [];
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Post message to a free worker and resolve with its reply. options.timeout
+     * is in milliseconds and restarts whenever the worker sends an update, which
+     * goes to options.onUpdate; options.deadline caps the whole call however
+     * often it updates. options.signal is an AbortSignal for cancelling.
+     * Rejects with an error named TimeoutError (its timeout property is the
+     * limit that ran out) or AbortError.
+     */
+    run(message, options = {}) {
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: this.nextId++,
+                message: message,
+                timeout: options.timeout || this.timeout,
+                deadline: options.deadline || this.deadline,
+                signal: options.signal || null,
+                onUpdate: options.onUpdate || null,
+                resolve: resolve,
+                reject: reject,
+                timer: null,
+                deadlineTimer: null
+            };
+
+            if (task.signal) {
+                if (task.signal.aborted) {
+                    reject(this.createError('AbortError', 'Cancelled'));
+                    return;
+                }
+                task.onAbort = () => this.cancel(task);
+                task.signal.addEventListener('abort', task.onAbort);
+            }
+
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.slots.find(candidate => !candidate.task);
+            if (!slot && this.slots.length < this.size) {
+                slot = this.createSlot();
+            }
+            if (!slot) return;
+
+            const task = this.queue.shift();
+            slot.task = task;
+            this.armTimer(slot, task);
+            task.deadlineTimer = setTimeout(() => this.timeOut(slot, task, task.deadline), task.deadline);
+
+            try {
+                slot.worker.postMessage({ ...task.message, id: task.id });
+            } catch (error) {
+                // DataCloneError: the input can't be copied into the worker
+                slot.task = null;
+                this.settle(task, error);
+            }
+        }
+    }
+
+    armTimer(slot, task) {
+        clearTimeout(task.timer);
+        task.timer = setTimeout(() => this.timeOut(slot, task, task.timeout), task.timeout);
+    }
+
+    timeOut(slot, task, limit) {
+        if (slot.task !== task) return;
+        this.replace(slot);
+        const error = this.createError('TimeoutError', `Timed out after ${limit} ms`);
+        error.timeout = limit;
+        this.settle(task, error);
+    }
+
+    createSlot() {
+        const slot = { worker: null, task: null };
+        this.start(slot);
+        this.slots.push(slot);
+        return slot;
+    }
+
+    start(slot) {
+        slot.worker = new Worker(this.scriptUrl);
+        slot.worker.onmessage = (event) => {
+            const task = slot.task;
+            if (!task || !event.data || event.data.id !== task.id) return;
+
+            if (event.data.type === 'update') {
+                this.armTimer(slot, task);
+                if (task.onUpdate) task.onUpdate(event.data.update);
+                return;
+            }
+
+            slot.task = null;
+            if (event.data.type === 'failed') {
+                this.settle(task, new Error(event.data.error));
+            } else {
+                this.settle(task, null, event.data.result);
+            }
+            this.dispatch();
+        };
+        // Uncaught errors leave the worker in an unknown state, so start a fresh one
+        slot.worker.onerror = (event) => {
+            event.preventDefault();
+            const task = slot.task;
+            this.replace(slot);
+            if (task) {
+                this.settle(task, new Error(event.message || 'Tool worker crashed'));
+            }
+        };
+        if (this.setup) {
+            slot.worker.postMessage(this.setup);
+        }
+    }
+
+    replace(slot) {
+        slot.worker.terminate();
+        slot.task = null;
+        this.start(slot);
+        this.dispatch();
+    }
+
+    cancel(task) {
+        const queued = this.queue.indexOf(task);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+        } else {
+            const slot = this.slots.find(candidate => candidate.task === task);
+            if (!slot) return;
+            this.replace(slot);
+        }
+        this.settle(task, this.createError('AbortError', 'Cancelled'));
+    }
+
+    settle(task, error, result) {
+        clearTimeout(task.timer);
+        clearTimeout(task.deadlineTimer);
+        if (task.signal) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+        if (error) {
+            task.reject(error);
+        } else {
+            task.resolve(result);
+        }
+    }
+
+    createError(name, message) {
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    // Stop every worker and reject whatever is still waiting
+    terminate() {
+        const pending = [...this.queue, ...this.slots.map(slot => slot.task).filter(Boolean)];
+        this.queue = [];
+        for (const slot of this.slots) {
+            slot.worker.terminate();
+        }
+        this.slots = [];
+        for (const task of pending) {
+            this.settle(task, this.createError('AbortError', 'Worker pool stopped'));
+        }
+    }
+}
+
+// Export for use in main engine
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkerPool;
+}
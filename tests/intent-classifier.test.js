@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IntentClassifier = require('../JSs/intent-classifier.js');
+
+const config = require('../Jsons/tools-config.json');
+const locales = ['en', 'es', 'fr'].map(code => require(`../Jsons/locales/${code}.json`));
+const threshold = config.settings.intentThreshold;
+
+// Trained the way the engine trains it: manifest and locale keywords and examples
+const localeEntries = (toolId, field) => locales.flatMap(locale => ((locale.tools || {})[toolId] || {})[field] || []);
+const tools = config.tools.map(tool => ({
+    ...tool,
+    keywords: [...tool.keywords, ...localeEntries(tool.id, 'keywords')],
+    examples: [...(tool.examples || []), ...localeEntries(tool.id, 'examples')]
+}));
+const classifier = new IntentClassifier();
+classifier.train(
+    [...tools, { id: 'echo', name: 'Echo', enabled: true, keywords: ['echo'] }],
+    [...config.settings.generalExamples, ...locales.flatMap(locale => locale.generalExamples || [])]
+);
+const best = text => classifier.classify(text).ranked[0];
+
+test('a command without its text clears the threshold', () => {
+    for (const [command, toolId] of [['reverse this', 'text_reverse'], ['capitalize', 'text_capitalize'], ['lowercase', 'text_lowercase'], ['invierte', 'text_reverse']]) {
+        assert.equal(best(command).id, toolId, command);
+        assert.ok(best(command).probability >= threshold, command);
+    }
+});
+
+test('a tool registered with only keywords clears the threshold', () => {
+    assert.equal(best('echo').id, 'echo');
+    assert.ok(best('echo').probability >= threshold);
+});
+
+test('shape patterns decide on the whole request', () => {
+    assert.equal(best('5 miles to km').id, 'unit_convert');
+    assert.ok(best('5 miles to km').probability >= threshold);
+});
+
+test('small talk goes to general', () => {
+    assert.equal(best('hello how are you').id, 'general');
+    assert.equal(best('thanks a lot').id, 'general');
+});
+
+test('quoted text is payload, not features', () => {
+    const features = classifier.tokenize('lowercase "HELLO AND WELCOME"');
+    assert.ok(features.includes('lowercase'));
+    assert.ok(!features.includes('hello') && !features.includes('welcome'));
+});
+
+test('unknown words give no ranking at all', () => {
+    assert.deepEqual(classifier.classify('zzzz qqqq'), { ranked: [], known: 0, features: 3 });
+});
+
+test('probabilities sum to 1', () => {
+    const total = classifier.classify('format this json').ranked.reduce((sum, entry) => sum + entry.probability, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+});
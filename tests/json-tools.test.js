@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JsonTools = require('../JSs/tools/json-tools.js');
+
+test('parse reads every JSON value type', () => {
+    assert.deepEqual(
+        JsonTools.parse('{"a": [1, -2.5e3, true, false, null], "b": "x\\u0041\\n"}'),
+        { a: [1, -2500, true, false, null], b: 'xA\n' }
+    );
+});
+
+test('parse reports where it failed', () => {
+    assert.throws(() => JsonTools.parse('{\n  "a": 1,\n}'), { message: 'Trailing comma in object at line 3, column 1', line: 3, column: 1 });
+    assert.throws(() => JsonTools.parse('[1, 2,]'), { message: /^Trailing comma in array/ });
+    assert.throws(() => JsonTools.parse("{'a': 1}"), { message: /^Property names must use double quotes/ });
+    assert.throws(() => JsonTools.parse('{"a": 1} x'), { message: /^Unexpected 'x' after the end of the JSON value/ });
+    assert.throws(() => JsonTools.parse('"abc'), { message: /^Unterminated string at line 1, column 1/ });
+});
+
+test('parse rejects raw control characters in strings', () => {
+    assert.throws(() => JsonTools.parse('"a\tb"'), { message: /^Control character U\+0009 must be escaped/ });
+    assert.throws(() => JsonTools.parse('"a\u0000b"'), { message: /^Control character U\+0000 must be escaped/ });
+    assert.equal(JsonTools.parse('"a\\tb"'), 'a\tb');
+});
+
+test('parse keeps "__proto__" as an ordinary key', () => {
+    const value = JsonTools.parse('{"__proto__": {"x": 1}}');
+    assert.deepEqual(Object.keys(value), ['__proto__']);
+    assert.equal(Object.getPrototypeOf(value), Object.prototype);
+});
+
+test('parse limits nesting with a positioned error', () => {
+    const deep = '['.repeat(JsonTools.maxDepth + 1) + ']'.repeat(JsonTools.maxDepth + 1);
+    assert.throws(() => JsonTools.parse(deep), { message: `Nesting is deeper than ${JsonTools.maxDepth} levels at line 1, column ${JsonTools.maxDepth + 1}` });
+});
+
+test('formatJson reads a fence on one line as JSON, not a language tag', () => {
+    assert.equal(JsonTools.formatJson('format ```{"a":1}```').result, '{\n  "a": 1\n}');
+    assert.equal(JsonTools.formatJson('format ```json\n{"a":1}\n```', { action: 'minify' }).result, '{"a":1}');
+});
+
+test('formatJson sort keeps "__proto__"', () => {
+    const result = JsonTools.formatJson('{"b": 2, "__proto__": 1}', { action: 'sort' });
+    assert.equal(result.result, '{\n  "__proto__": 1,\n  "b": 2\n}');
+});
+
+test('formatJson returns invalid JSON as a result, not a failure', () => {
+    const result = JsonTools.formatJson('validate {"a": 1,}');
+    assert.equal(result.success, true);
+    assert.equal(result.valid, false);
+    assert.equal(result.line, 1);
+});
+
+test('queryJson removes the path from the command only', () => {
+    assert.deepEqual(JsonTools.queryJson('query a in {"a":{"a":5}}', { path: 'a' }).matches, [{ a: 5 }]);
+    assert.deepEqual(JsonTools.queryJson('{"a":{"a":5}}', { path: 'a' }).matches, [{ a: 5 }]);
+});
+
+test('queryJson supports the JSONPath subset', () => {
+    const json = '{"users": [{"name": "Ann"}, {"name": "Bob"}]}';
+    assert.deepEqual(JsonTools.queryJson(json, { path: '$.users[-1].name' }).matches, ['Bob']);
+    assert.deepEqual(JsonTools.queryJson(json, { path: '$..name' }).matches, ['Ann', 'Bob']);
+    assert.deepEqual(JsonTools.queryJson(json, { path: "users[*]['name']" }).matches, ['Ann', 'Bob']);
+    assert.match(JsonTools.queryJson(json, { path: '$.users[' }).error, /^Invalid path at '\['/);
+});
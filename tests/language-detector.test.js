@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LanguageDetector = require('../JSs/language-detector.js');
+
+const config = require('../Jsons/tools-config.json');
+const [en, es, fr] = ['en', 'es', 'fr'].map(code => require(`../Jsons/locales/${code}.json`));
+
+// As the engine trains it: the manifest's keywords belong to the default locale
+const tools = { ...en.tools };
+for (const tool of config.tools) {
+    const entry = tools[tool.id] || {};
+    tools[tool.id] = { ...entry, keywords: [...(entry.keywords || []), ...tool.keywords] };
+}
+const model = LanguageDetector.train([{ ...en, tools }, es, fr]);
+const detect = text => {
+    const result = LanguageDetector.detect(text, model);
+    return result && result.code;
+};
+
+test('commands are detected in their language', () => {
+    assert.equal(detect('analyze code'), 'en');
+    assert.equal(detect('invierte hola mundo'), 'es');
+    assert.equal(detect('bonjour'), 'fr');
+});
+
+test('quoted payload does not decide the language', () => {
+    assert.equal(detect('reverse "je suis là"'), 'en');
+});
+
+test('unit requests use the locale\'s unit words', () => {
+    assert.equal(detect('convertir 5 millas a km'), 'es');
+    assert.equal(detect('convertis 2,5 km en mètres'), 'fr');
+});
+
+test('a message with no words has no language', () => {
+    assert.equal(detect('5 + 5'), null);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MathTools = require('../JSs/tools/math-tools.js');
+
+const fr = { numberFormat: 'fr-FR' };
+const es = { numberFormat: 'es-ES' };
+
+test('calculate follows operator precedence', () => {
+    assert.equal(MathTools.calculate('what is 2 + 3 * 4').result, 14);
+    assert.equal(MathTools.calculate('2^3^2').result, 512);
+    assert.equal(MathTools.calculate('sqrt(16) + 10%').result, 4.1);
+});
+
+test('factorial works as a function, a word and a postfix operator', () => {
+    assert.equal(MathTools.calculate('factorial(5)').result, 120);
+    assert.equal(MathTools.calculate('factorial of 5').result, 120);
+    assert.equal(MathTools.calculate('5!').result, 120);
+    assert.equal(MathTools.calculate('factorial(30)', { exact: true }).exact, '265252859812191058636308480000000');
+});
+
+test('an unknown function is an error, not dropped', () => {
+    const result = MathTools.calculate('foo(5)');
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Unknown function 'foo'/);
+});
+
+test('decimal results past 2^53 are shown in scientific notation', () => {
+    assert.equal(MathTools.calculate('170!').formatted, '≈ 7.2574156153e+306');
+    assert.equal(MathTools.calculate('2^53').formatted, '≈ 9.0071992547e+15');
+    assert.equal(MathTools.calculate('2^53 - 1').formatted, '9,007,199,254,740,991');
+});
+
+test('exact mode keeps every digit of large integers', () => {
+    const result = MathTools.calculate('170!', { exact: true });
+    assert.equal(result.exact.length, 307);
+    assert.match(result.formatted, /\(≈ 7\.257415e\+306, 307 digits\)$/);
+    assert.equal(MathTools.calculate('1/3 + 1/6', { exact: true }).exact, '1/2');
+});
+
+test('delocalizeDigits reads the locale\'s separators', () => {
+    assert.equal(MathTools.delocalizeDigits('1 234,5 + 2,5', 'fr-FR'), '1234.5 + 2.5');
+    assert.equal(MathTools.delocalizeDigits('1.234,5', 'es-ES'), '1234.5');
+    assert.equal(MathTools.delocalizeDigits('max(1; 2)', 'fr-FR'), 'max(1, 2)');
+    assert.equal(MathTools.delocalizeDigits('1,234.5', 'en-US'), '1,234.5');
+});
+
+test('formatResult writes the locale\'s separators', () => {
+    assert.match(MathTools.formatResult(1234.5, 'fr-FR'), /^1\s234,5$/u);
+    assert.equal(MathTools.formatResult(2.5, 'es-ES'), '2,5');
+    assert.equal(MathTools.formatResult(1234.5), '1,234.5');
+});
+
+test('calculate takes the locale as a parameter and leaves no state behind', () => {
+    assert.equal(MathTools.calculate('1,5 + 1', { locale: fr }).formatted, '2,5');
+    assert.equal(MathTools.calculate('1.000 * 2', { locale: es }).result, 2000);
+    assert.equal(MathTools.calculate('1.5 + 1').formatted, '2.5');
+});
+
+test('a worksheet keeps variables between lines', () => {
+    const result = MathTools.calculate('x = 12\ny = x * 2\ny + 1');
+    assert.equal(result.worksheet, true);
+    assert.equal(result.result, 25);
+    assert.deepEqual(result.variables, { x: 12, y: 24 });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PatternIndex = require('../JSs/pattern-index.js');
+const en = require('../Jsons/locales/en.json');
+
+const index = new PatternIndex({ stopWords: en.stopWords });
+const similarity = (a, b) => index.similarity(index.tokenize(a), index.tokenize(b));
+
+test('numbers and operators must match in order', () => {
+    assert.equal(similarity('10 - 2', '10 - 2'), 1);
+    assert.equal(similarity('10 - 2', '10 + 2'), 0);
+    assert.equal(similarity('10 - 2', '2 - 10'), 0);
+});
+
+test('with numbers in the text, the words keep their order too', () => {
+    assert.equal(similarity('convert 5 miles to km', 'convert 5 km to miles'), 0);
+});
+
+test('pronouns are not stop words', () => {
+    assert.ok(similarity('what is my name', 'what is your name') < 1);
+});
+
+test('word order and case do not matter without numbers', () => {
+    assert.equal(similarity('What Is The Weather', 'the weather is what'), 1);
+});
+
+test('accents and small typos are forgiven', () => {
+    assert.equal(similarity('qué hora es', 'que hora es'), 1);
+    assert.ok(index.wordSimilarity('recieve', 'receive') > 0);
+    assert.equal(index.wordSimilarity('abc', 'abd'), 0);
+    assert.equal(index.editDistance('kitten', 'sitting'), 3);
+});
+
+test('a hyphen between letters is no minus sign', () => {
+    assert.deepEqual(index.tokenize('e-mail - 2'), ['e', 'mail', '-', '2']);
+});
+
+test('search, exact and remove', () => {
+    const patterns = new PatternIndex({ stopWords: en.stopWords });
+    patterns.add(1, 'convert 5 miles to km');
+    patterns.add(2, 'what is the weather');
+
+    assert.deepEqual(patterns.exact('CONVERT 5 miles to km'), [1]);
+    assert.deepEqual(patterns.search('what is the wether').map(result => result.id), [2]);
+    assert.deepEqual(patterns.search('what is the wether', { threshold: 0.95 }), []);
+
+    patterns.remove(1);
+    assert.equal(patterns.size, 1);
+    assert.deepEqual(patterns.exact('convert 5 miles to km'), []);
+});
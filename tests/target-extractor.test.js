@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TargetExtractor = require('../JSs/target-extractor.js');
+
+const extract = (input, commandWords, options = {}) =>
+    TargetExtractor.extract(input, { commandWords, ...options });
+
+test('a code fence wins, with or without a language tag', () => {
+    assert.deepEqual(extract('analyze code ```const x = 1;```', ['analyze code'], { quotes: false }),
+        { text: 'const x = 1;', start: 16, end: 28, source: 'code' });
+    assert.equal(extract('```js\nconst x = 1;\n```', []).text, 'const x = 1;');
+});
+
+test('quoted text is taken without its quotes', () => {
+    assert.deepEqual(extract('capitalize "hello world" please', ['capitalize']),
+        { text: 'hello world', start: 12, end: 23, source: 'quoted' });
+    assert.equal(extract('reverse “smart quotes”', ['reverse']).text, 'smart quotes');
+});
+
+test('quotes are part of the text when quotes is false', () => {
+    assert.equal(extract('analyze code const s = "a";', ['analyze code'], { quotes: false }).text, 'const s = "a";');
+});
+
+test('text after a colon or below a command line', () => {
+    assert.equal(extract('reverse this: it is fine', ['reverse']).text, 'it is fine');
+    assert.equal(extract('reverse\nline one\nline two', ['reverse']).source, 'colon');
+});
+
+test('command words and fillers are stripped from both ends', () => {
+    assert.equal(extract('count the words in the quick brown fox', ['count']).text, 'the quick brown fox');
+    assert.equal(extract('make hello world uppercase', ['uppercase']).text, 'hello world');
+    assert.equal(extract('please reverse hola mundo', ['reverse']).text, 'hola mundo');
+});
+
+test('link words inside the text are kept', () => {
+    assert.equal(extract('capitalize each word of to be or not to be', ['capitalize', 'each word']).text, 'to be or not to be');
+});
+
+test('explicit settings are never part of the text', () => {
+    const target = extract('capitalize mode: words hello there', ['capitalize'], { paramNames: ['mode'] });
+    assert.equal(target.text, 'hello there');
+});
+
+test('a message without command words is taken whole', () => {
+    assert.equal(extract('just some words', ['reverse']).source, 'whole');
+});
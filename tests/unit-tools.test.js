@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// UnitTools hands arithmetic and number formats to the calculator when it is loaded
+globalThis.MathTools = require('../JSs/tools/math-tools.js');
+const UnitTools = require('../JSs/tools/unit-tools.js');
+
+const read = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+const es = read('Jsons/locales/es.json');
+const fr = read('Jsons/locales/fr.json');
+
+test.before(() => {
+    const units = read('Jsons/units.json');
+    globalThis.fetch = async () => ({ json: async () => units });
+    return UnitTools.loadUnits();
+});
+
+test('convert sums mixed terms in the target unit', async () => {
+    const result = await UnitTools.convert('3 ft + 20 in in cm');
+    assert.equal(result.formatted, '142.24 cm');
+    assert.deepEqual(result.terms, [{ value: 3, unit: 'ft' }, { value: 20, unit: 'in' }]);
+});
+
+test('grouped digits and exponents are read whole', async () => {
+    assert.equal((await UnitTools.convert('1,000 m to km')).formatted, '1 km');
+    assert.equal((await UnitTools.convert('1e3 m to km')).formatted, '1 km');
+});
+
+test('a number it cannot read is an error, never a different number', async () => {
+    assert.deepEqual(await UnitTools.convert('1,2 m to cm'), { success: false, error: 'Can\'t read the number "1,"' });
+});
+
+test('units of different kinds are not converted', async () => {
+    assert.equal((await UnitTools.convert('5 km to kg')).error, "Can't convert length (km) to mass (kg)");
+    assert.equal((await UnitTools.convert('5 km')).success, false);
+});
+
+test('temperatures use their offsets', async () => {
+    assert.equal((await UnitTools.convert('-40 °F to °C')).formatted, '-40 C');
+    assert.equal((await UnitTools.convert('100 degrees C to F')).formatted, '212 F');
+});
+
+test('parseRequest splits on the last separator', () => {
+    assert.deepEqual(UnitTools.parseRequest('convert 3 ft + 20 in in cm'), { source: '3 ft + 20 in', target: 'cm' });
+    assert.deepEqual(UnitTools.parseRequest('how many inches are in 2 ft?'), { source: '2 ft', target: 'inches' });
+});
+
+test('parseQuantity reads multi-word units', () => {
+    const [term] = UnitTools.parseQuantity('60 miles per hour');
+    assert.equal(term.unit.symbol, 'mph');
+});
+
+test('Spanish and French requests use the locale\'s words and separators', async () => {
+    assert.equal((await UnitTools.convert('convertir 5 millas a km', { locale: es })).formatted, '8,04672 km');
+    assert.equal((await UnitTools.convert('¿cuántos metros hay en 2 km?', { locale: es })).value, 2000);
+    assert.equal((await UnitTools.convert('convertis 2,5 km en mètres', { locale: fr })).value, 2500);
+});